@@ -113,6 +113,94 @@ function versionComparator(source, target) {
     };
     return recursor(sourceParts, targetParts);
 }
+/**
+ * Non-cryptographic string hash (32-bit FNV-1a).
+ * @returns Hash of the input as a hex string.
+ */
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+/**
+ * Compare strings in natural order, in which runs of digits are compared by their value so that
+ * e.g. `p2` comes before `p10`.
+ */
+function naturalCompare(a, b) {
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+}
+/**
+ * @returns Type of a JSON value, distinguishing arrays and null from objects.
+ */
+function getSettingType(value) {
+    return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+/**
+ * @returns True if a value is a smart fit profile with a name and a size limit for each
+ * orientation. The portrait width limit is optional.
+ */
+function isSmartFitProfile(profile) {
+    const isSize = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 1;
+    return (getSettingType(profile) === 'object' &&
+        typeof profile.name === 'string' &&
+        getSettingType(profile.portrait) === 'object' &&
+        isSize(profile.portrait.height) &&
+        (profile.portrait.width === undefined || isSize(profile.portrait.width)) &&
+        getSettingType(profile.landscape) === 'object' &&
+        isSize(profile.landscape.height) &&
+        getSettingType(profile.portraitLong) === 'object' &&
+        isSize(profile.portraitLong.width) &&
+        isSize(profile.longRatio));
+}
+/**
+ * Check each setting of a config object against a schema.
+ * @returns Valid settings, and the keys of settings which are unknown or invalid.
+ */
+function validateConfig(config, schema) {
+    const valid = {};
+    const invalid = [];
+    for (const [key, value] of Object.entries(config)) {
+        const rule = schema[key];
+        const isValid = rule &&
+            getSettingType(value) === rule.type &&
+            (!rule.values || rule.values.includes(value)) &&
+            (rule.min === undefined || value >= rule.min) &&
+            (!rule.validate || rule.validate(value, config));
+        if (isValid) {
+            valid[key] = value;
+        }
+        else {
+            invalid.push(key);
+        }
+    }
+    return { valid, invalid };
+}
+/**
+ * @returns Default value of each setting in a schema that has one.
+ */
+function getConfigDefaults(schema) {
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([, rule]) => rule.default !== undefined)
+        .map(([key, rule]) => [key, rule.default]));
+}
+/**
+ * Creates an object with the same interface as `localStorage` which only keeps items in memory.
+ */
+function createMemoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => {
+            items.set(key, `${value}`);
+        },
+        removeItem: (key) => {
+            items.delete(key);
+        },
+    };
+}
 /**
  * Creates a wrapper around `requestAnimationFrame` to enable a simpler task-based API for using
  * it.
@@ -151,25 +239,93 @@ function createAnimationDispatcher() {
 /**
  * CONFIGURATION AND CONSTANTS
  */
+/**
+ * Default endpoint for the latest version, overridden by `updateCheckUrl` in `config.ini`. It may
+ * return the version as plain text, as JSON `{ "version": "..." }`, or in base64 as JSON
+ * `{ "content": "..." }` like the GitHub contents API.
+ */
 const versionCheckUrl = 'https://api.github.com/repos/luejerry/html-mangareader/contents/version';
+/**
+ * Default download link for new versions, overridden by `updateReleaseUrl` in `config.ini`
+ */
+const releasesUrl = 'https://github.com/luejerry/html-mangareader/releases';
+/**
+ * Minimum time in milliseconds between automatic update checks
+ */
+const versionCheckInterval = 24 * 60 * 60 * 1000;
+/**
+ * Key for which the time and result of the last update check are stored in LocalStorage
+ */
+const versionCheckStorageKey = 'mangareader-version-check';
 /**
  * Key for which app data is stored in LocalStorage
  */
 const storageKey = 'mangareader-config';
 /**
- * Max number of pages to load at once, if `dynamicImageLoading` is enabled in `config.ini`
+ * Key for which reading progress of each archive is stored in LocalStorage
+ */
+const progressStorageKey = 'mangareader-progress';
+/**
+ * Key for which bookmarks of each archive are stored in LocalStorage
+ */
+const bookmarksStorageKey = 'mangareader-bookmarks';
+/**
+ * Key for which the custom page order and hidden pages of each archive are stored in LocalStorage
+ */
+const pageOrderStorageKey = 'mangareader-page-order';
+/**
+ * Key for which detected image borders of each archive are stored in LocalStorage
+ */
+const cropStorageKey = 'mangareader-crop';
+/**
+ * Key for which the layout direction chosen by the user for each archive is stored in
+ * LocalStorage, if it differs from the reading direction in the archive's ComicInfo.xml
+ */
+const directionStorageKey = 'mangareader-direction';
+/**
+ * Default number of pages to preload ahead of the visible page in the direction of travel.
+ * Overridden by `preloadAhead` in `config.ini`.
  */
-const maxLoadedImages = 20;
+const defaultPreloadAhead = 12;
+/**
+ * Default number of pages to keep loaded behind the visible page. Overridden by `preloadBehind` in
+ * `config.ini`.
+ */
+const defaultPreloadBehind = 4;
+/**
+ * Default max total size in megapixels of pages loaded at once, if `dynamicImageLoading` is enabled
+ * in `config.ini`. Overridden by `maxLoadedMegapixels` in `config.ini`.
+ */
+const defaultMaxLoadedMegapixels = 250;
+/**
+ * Number of times loading a page image is retried after an error
+ */
+const imageRetryLimit = 5;
+/**
+ * Delay in milliseconds before the first retry of a failed image load, doubled for each retry
+ */
+const imageRetryDelay = 1000;
 /**
  * Max number of navbar previews to load at once, if `dynamicImageLoading` is enabled in
  * `config.ini`
  */
 const maxLoadedPreviews = 60;
+/**
+ * Longest side in pixels that images are downscaled to when detecting their borders
+ */
+const cropSampleSize = 400;
+/**
+ * Max difference of each color channel from the border color for a pixel to count as border
+ */
+const cropTolerance = 24;
+/**
+ * Max fraction of an image's width or height that is trimmed from each side
+ */
+const cropMaxFraction = 0.4;
 const loadingPlaceholder = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8HwYAAloBV80ot9EAAAAASUVORK5CYII=';
 const smartFit = {
     size0: {
         portrait: {
-            width: 720,
             height: 1024,
         },
         landscape: {
@@ -181,7 +337,6 @@ const smartFit = {
     },
     size1: {
         portrait: {
-            width: 1080,
             height: 1440,
         },
         landscape: {
@@ -192,11 +347,242 @@ const smartFit = {
         },
     },
 };
+/**
+ * Height to width ratio above which a portrait image is treated as a long strip, unless overridden
+ * by the smart fit profile
+ */
+const defaultLongRatio = 2;
+/**
+ * ComicInfo.xml metadata file, loaded from alongside `index.html` if not embedded in the page
+ */
+const comicInfoUrl = 'ComicInfo.xml';
+/**
+ * Time in milliseconds to wait for ComicInfo.xml to load before giving up on it
+ */
+const comicInfoTimeout = 3000;
+/**
+ * ComicInfo.xml fields shown in the info panel, in display order
+ */
+const comicInfoFields = [
+    'Series',
+    'Title',
+    'Number',
+    'Count',
+    'Volume',
+    'Writer',
+    'Penciller',
+    'Inker',
+    'Colorist',
+    'Letterer',
+    'CoverArtist',
+    'Editor',
+    'Publisher',
+    'Year',
+    'Genre',
+    'LanguageISO',
+    'Manga',
+    'PageCount',
+    'Web',
+    'Summary',
+];
+/**
+ * Matches a chapter number in an image file name, e.g. `c001_p01.jpg`, `Ch.12 - 03.png`,
+ * `v02c015p004.jpg` or `Chapter 3 page 1.jpg`
+ */
+const chapterPattern = /(?:^|[^a-z])(?:v\d+)?(?:c|ch|chap|chapter)[ ._-]*(\d+(?:\.\d+)?)/i;
 const INTERSECT_MARGIN = {
     vertical: '-45% 0px -45% 0px',
     horizontal: '0px -45% 0px -45%',
     'horizontal-rtl': '0px -45% 0px -45%',
 };
+/**
+ * Maximum magnification of a single zoomed page
+ */
+const maxPageZoom = 4;
+/**
+ * Diameter in pixels of the magnifier lens
+ */
+const magnifierSize = 240;
+/**
+ * Minimum horizontal distance in pixels a touch must travel to be recognized as a swipe
+ */
+const swipeThreshold = 50;
+/**
+ * Default action from `keyActions` performed when tapping each third of the screen
+ */
+const defaultTapZones = { left: 'pageLeft', center: 'toggleUi', right: 'pageRight' };
+/**
+ * Default autoscroll speed in pixels per second, in the vertical layout
+ */
+const defaultAutoscrollSpeed = 100;
+/**
+ * Default time in seconds between page advances during autoscroll, in the horizontal layouts
+ */
+const defaultAutoscrollInterval = 8;
+/**
+ * Time in milliseconds that autoscroll pauses for after the mouse is moved or a key is pressed
+ */
+const autoscrollPause = 1500;
+/**
+ * Duration in milliseconds of the page turn animation in paged mode
+ */
+const pageTurnDuration = 400;
+/**
+ * Animations for turning pages in paged mode
+ */
+const pageTransitions = ['slide', 'fade', 'flip'];
+/**
+ * Image adjustments which leave pages unchanged. Percentages except for gamma
+ */
+const defaultImageFilters = {
+    enabled: false,
+    brightness: 100,
+    contrast: 100,
+    gamma: 1,
+    saturation: 100,
+    sepia: 0,
+    invert: false,
+    sharpen: false,
+};
+/**
+ * Keyboard shortcut actions and their default key combinations. Key combinations are written in
+ * the format produced by `keyEventToBinding`, e.g. `ArrowLeft`, `Shift+End`, `Ctrl+g`.
+ *
+ * `pageLeft` and `pageRight` are physical directions and are flipped in the `horizontal-rtl`
+ * layout, whereas `nextPage` and `prevPage` always follow reading order.
+ */
+const keyActions = {
+    pageRight: { label: 'Page right', keys: ['ArrowRight'] },
+    pageLeft: { label: 'Page left', keys: ['ArrowLeft'] },
+    nextPage: { label: 'Next page', keys: ['n'] },
+    prevPage: { label: 'Previous page', keys: ['p'] },
+    firstPage: { label: 'First page', keys: ['Home'] },
+    lastPage: { label: 'Last page', keys: ['End'] },
+    jumpToPage: { label: 'Go to page...', keys: ['g'] },
+    originalSize: { label: 'Original size', keys: ['0'] },
+    shrinkSize: { label: 'Shrink both', keys: ['s'] },
+    shrinkWidth: { label: 'Shrink width', keys: [] },
+    shrinkHeight: { label: 'Shrink height', keys: [] },
+    fitWidth: { label: 'Fit width', keys: ['w'] },
+    fitHeight: { label: 'Fit height', keys: ['h'] },
+    fitSize: { label: 'Fit both', keys: ['f'] },
+    smartSize0: { label: 'Smart fit small', keys: ['1'] },
+    smartSize1: { label: 'Smart fit large', keys: ['2'] },
+    darkMode: { label: 'Toggle dark mode', keys: ['d'] },
+    seamless: { label: 'Toggle collapse spacing', keys: ['c'] },
+    spreads: { label: 'Toggle two-page spreads', keys: ['t'] },
+    pagedMode: { label: 'Toggle paged mode', keys: ['m'] },
+    toggleUi: { label: 'Show/hide menu', keys: ['u'] },
+    zoomPage: { label: 'Zoom current page', keys: ['z'] },
+    magnifier: { label: 'Toggle magnifier', keys: ['l'] },
+    imageFilters: { label: 'Toggle image filters', keys: ['i'] },
+    bookmark: { label: 'Bookmark current page', keys: ['b'] },
+    showBookmarks: { label: 'Show bookmarks', keys: ['B'] },
+    overview: { label: 'Page overview', keys: ['o'] },
+    editPages: { label: 'Edit pages', keys: ['e'] },
+    nextChapter: { label: 'Next chapter', keys: ['N'] },
+    prevChapter: { label: 'Previous chapter', keys: ['P'] },
+    showChapters: { label: 'Show chapters', keys: ['C'] },
+    autoscroll: { label: 'Start/stop autoscroll', keys: ['a'] },
+    autoscrollFaster: { label: 'Autoscroll faster', keys: [']'] },
+    autoscrollSlower: { label: 'Autoscroll slower', keys: ['['] },
+    showShortcuts: { label: 'Show keyboard shortcuts', keys: ['?'] },
+};
+/**
+ * Version of the format of settings saved in LocalStorage. When the format changes, increment it
+ * and add a migration to `configMigrations`.
+ */
+const configVersion = 1;
+/**
+ * Functions that upgrade saved settings from the previous version of the format to each version
+ */
+const configMigrations = {
+    // Settings saved before versioning are already in this format and only need the version
+    1: (config) => config,
+};
+const scalingModes = [
+    'none',
+    'fit_width',
+    'fit_height',
+    'fit',
+    'shrink',
+    'shrink_width',
+    'shrink_height',
+    'smart_size0',
+    'smart_size1',
+];
+/**
+ * Type and allowed values of each setting saved in LocalStorage, with defaults for settings that
+ * have not been saved. Invalid settings are ignored.
+ */
+const configSchema = {
+    configVersion: { type: 'number' },
+    appVersion: { type: 'string' },
+    scaling: {
+        type: 'string',
+        default: 'none',
+        // Custom smart fit modes are named after the key of their profile
+        validate: (value, config) => scalingModes.includes(value) ||
+            (value.startsWith('smart_') &&
+                getSettingType(config.smartFitProfiles) === 'object' &&
+                isSmartFitProfile(config.smartFitProfiles[value.slice(6)])),
+    },
+    direction: { type: 'string', values: ['vertical', 'horizontal', 'horizontal-rtl'] },
+    smoothScroll: { type: 'boolean', default: false },
+    darkMode: { type: 'boolean', default: false },
+    seamless: { type: 'boolean', default: false },
+    spreads: { type: 'boolean', default: false },
+    spreadCoverOffset: { type: 'boolean', default: false },
+    splitPages: { type: 'boolean', default: false },
+    pagedMode: { type: 'boolean', default: false },
+    pageTransition: { type: 'string', default: 'slide', values: pageTransitions },
+    autoCrop: { type: 'boolean', default: false },
+    chapterDividers: { type: 'boolean', default: false },
+    touchGestures: { type: 'boolean', default: true },
+    updateCheck: { type: 'boolean', default: true },
+    tapZones: {
+        type: 'object',
+        validate: (value) => Object.entries(value).every(([zone, action]) => zone in defaultTapZones &&
+            typeof action === 'string' &&
+            (action === 'none' || action in keyActions)),
+    },
+    keyBindings: {
+        type: 'object',
+        validate: (value) => Object.values(value).every((keys) => Array.isArray(keys) && keys.every((key) => typeof key === 'string')),
+    },
+    smartFitProfiles: {
+        type: 'object',
+        validate: (value) => Object.values(value).every(isSmartFitProfile),
+    },
+    autoscrollSpeed: { type: 'number', default: defaultAutoscrollSpeed, min: 1 },
+    autoscrollInterval: { type: 'number', default: defaultAutoscrollInterval, min: 1 },
+    imageFilters: {
+        type: 'object',
+        validate: (value) => Object.entries(value).every(([filter, setting]) => filter in defaultImageFilters &&
+            typeof setting === typeof defaultImageFilters[filter] &&
+            (typeof setting !== 'number' || Number.isFinite(setting))),
+    },
+};
+/**
+ * Type and allowed values of each setting in `config.ini`. Invalid settings are ignored.
+ */
+const configIniSchema = {
+    disableNavButtons: { type: 'boolean', default: false },
+    disableNavBar: { type: 'boolean', default: false },
+    dynamicImageLoading: { type: 'boolean', default: false },
+    preloadAhead: { type: 'number', default: defaultPreloadAhead, min: 0 },
+    preloadBehind: { type: 'number', default: defaultPreloadBehind, min: 0 },
+    maxLoadedMegapixels: { type: 'number', default: defaultMaxLoadedMegapixels, min: 1 },
+    chapters: { type: 'array' },
+    disableUpdateCheck: { type: 'boolean', default: false },
+    updateCheckUrl: { type: 'string' },
+    updateReleaseUrl: { type: 'string' },
+    embedOrigins: {
+        type: 'array',
+        validate: (value) => value.every((origin) => typeof origin === 'string'),
+    },
+    embedProgress: { type: 'boolean', default: false },
+};
 /// <reference path="./types.ts" />
 /// <reference path="./utils.ts" />
 /// <reference path="./constants.ts" />
@@ -212,64 +598,325 @@ const INTERSECT_MARGIN = {
     const shrinkHeightBtn = document.getElementById('btn-shrink-height');
     const fitWidthBtn = document.getElementById('btn-fit-width');
     const fitHeightBtn = document.getElementById('btn-fit-height');
+    const fitSizeBtn = document.getElementById('btn-fit-size');
     const smartFitBtns = Array.from(document.getElementsByClassName('btn-smart-fit'));
+    const smartFitCustomGroup = document.getElementById('smart-fit-custom');
+    const smartFitEditBtn = document.getElementById('btn-smart-fit-edit');
+    const smartFitPanel = document.getElementById('smart-fit-panel');
+    const smartFitProfilesList = document.getElementById('smart-fit-profiles');
+    const smartFitNewBtn = document.getElementById('btn-smart-fit-new');
     const directionRadioBtns = Array.from(document.getElementsByName('view-direction'));
     const smoothScrollCheckbox = document.getElementById('input-smooth-scroll');
     const darkModeCheckbox = document.getElementById('input-dark-mode');
     const seamlessCheckbox = document.getElementById('input-seamless');
+    const spreadsCheckbox = document.getElementById('input-spreads');
+    const spreadCoverCheckbox = document.getElementById('input-spread-cover');
+    const splitPagesCheckbox = document.getElementById('input-split-pages');
+    const pagedModeCheckbox = document.getElementById('input-paged-mode');
+    const pageTransitionBtns = Array.from(document.getElementsByClassName('btn-page-transition'));
+    const updateCheckCheckbox = document.getElementById('input-update-check');
+    const checkUpdateBtn = document.getElementById('btn-check-update');
+    const keyBindingsBtn = document.getElementById('btn-keybindings');
+    const keyBindingsPanel = document.getElementById('keybindings-panel');
+    const keyBindingsList = document.getElementById('keybindings-list');
+    const keyBindingsResetBtn = document.getElementById('btn-keybindings-reset');
+    const panelCloseBtns = Array.from(document.getElementsByClassName('panel-close'));
+    const pagesContainerDiv = document.getElementById('pages-container-div');
+    const touchControlsBtn = document.getElementById('btn-touch-controls');
+    const touchControlsPanel = document.getElementById('touch-controls-panel');
+    const touchGesturesCheckbox = document.getElementById('input-touch-gestures');
+    const tapZoneSelects = Array.from(document.getElementsByClassName('select-tap-zone'));
+    const magnifierCheckbox = document.getElementById('input-magnifier');
+    const magnifierDiv = document.getElementById('magnifier');
+    const autoCropCheckbox = document.getElementById('input-auto-crop');
+    const imageFiltersCheckbox = document.getElementById('input-image-filters');
+    const imageFiltersBtn = document.getElementById('btn-image-filters');
+    const imageFiltersPanel = document.getElementById('image-filters-panel');
+    const imageFilterInputs = Array.from(imageFiltersPanel.querySelectorAll('[data-filter]'));
+    const imageFiltersResetBtn = document.getElementById('btn-image-filters-reset');
+    const imageGammaFuncs = Array.from(document.querySelectorAll('#image-gamma-filter > *'));
+    const imageSharpenMatrix = document.getElementById('image-sharpen-matrix');
+    const bookmarksBtn = document.getElementById('btn-bookmarks');
+    const bookmarksPanel = document.getElementById('bookmarks-panel');
+    const bookmarksList = document.getElementById('bookmarks-list');
+    const bookmarkPageBtn = document.getElementById('btn-bookmark-page');
+    const bookmarksExportBtn = document.getElementById('btn-bookmarks-export');
+    const bookmarksImportBtn = document.getElementById('btn-bookmarks-import');
+    const bookmarksImportInput = document.getElementById('input-bookmarks-import');
+    const scrubberBookmarksDiv = document.getElementById('scrubber-bookmarks');
+    const comicInfoBtn = document.getElementById('btn-comic-info');
+    const comicInfoPanel = document.getElementById('comic-info-panel');
+    const comicInfoList = document.getElementById('comic-info-list');
+    const chaptersBtn = document.getElementById('btn-chapters');
+    const chaptersPanel = document.getElementById('chapters-panel');
+    const chaptersList = document.getElementById('chapters-list');
+    const chapterDividersCheckbox = document.getElementById('input-chapter-dividers');
+    const scrubberChaptersDiv = document.getElementById('scrubber-chapters');
+    const overviewBtn = document.getElementById('btn-overview');
+    const overviewPanel = document.getElementById('overview-panel');
+    const overviewGrid = document.getElementById('overview-grid');
+    const editPagesBtn = document.getElementById('btn-edit-pages');
+    const editPagesPanel = document.getElementById('edit-pages-panel');
+    const editPagesGrid = document.getElementById('edit-pages-grid');
+    const editPagesSortBtn = document.getElementById('btn-edit-pages-sort');
+    const editPagesResetBtn = document.getElementById('btn-edit-pages-reset');
+    const editPagesSaveBtn = document.getElementById('btn-edit-pages-save');
+    const autoscrollBtn = document.getElementById('btn-autoscroll');
+    const autoscrollPanel = document.getElementById('autoscroll-panel');
+    const autoscrollSpeedInput = document.getElementById('input-autoscroll-speed');
+    const autoscrollIntervalInput = document.getElementById('input-autoscroll-interval');
+    const autoscrollToggleBtn = document.getElementById('btn-autoscroll-toggle');
+    const autoscrollStatusDiv = document.getElementById('autoscroll-status');
+    const resumeToast = document.getElementById('resume-toast');
+    const storageToast = document.getElementById('storage-toast');
+    const configToast = document.getElementById('config-toast');
+    const invalidConfigKeysSpan = document.getElementById('invalid-config-keys');
+    const settingsBtn = document.getElementById('btn-settings');
+    const settingsPanel = document.getElementById('settings-panel');
+    const settingsList = document.getElementById('settings-list');
+    const storageWarning = document.getElementById('storage-warning');
+    const settingsExportBtn = document.getElementById('btn-settings-export');
+    const settingsImportBtn = document.getElementById('btn-settings-import');
+    const settingsImportInput = document.getElementById('input-settings-import');
+    const settingsResetBtn = document.getElementById('btn-settings-reset');
+    const resumePageSpan = document.getElementById('resume-page');
+    const resumeLink = document.getElementById('link-resume');
     const scrubberIconDiv = document.getElementById('scrubber-icon');
     const scrubberContainerDiv = document.getElementById('scrubber-container');
     const scrubberDiv = document.getElementById('scrubber');
     const scrubberPreviewDiv = document.getElementById('scrubber-preview');
     const scrubberMarker = document.getElementById('scrubber-marker');
     const scrubberMarkerActive = document.getElementById('scrubber-marker-active');
+    const pageAnnouncer = document.getElementById('page-announcer');
+    const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
     let scrubberImages; // Array of images, set in `setupScrubber()`
+    let overviewCells; // Array of page overview cells, set in `setupOverview()`
     const animationDispatcher = createAnimationDispatcher();
+    // Methods of the `window.mangareader` API, also used by the postMessage bridge
+    const readerApi = createReaderApi();
+    /**
+     * Identifies the currently open archive in per-archive storage. Based on the title and image
+     * paths, which remain the same each time the archive is extracted.
+     */
+    const archiveKey = hashString([document.title, ...images.map((img) => img.dataset.src || img.getAttribute('src'))].join('\n'));
     let intersectObserver;
     let visiblePage;
     let configIni = {};
+    // LocalStorage, or an in-memory substitute if the browser forbids access to it
+    const appStorage = openStorage();
+    // Settings from `config.ini` and LocalStorage which were ignored as invalid, for the notice
+    let invalidConfigKeys = [];
+    // Effective key combinations for each action in `keyActions`, set in `setupKeyBindings()`
+    let keyBindings = {};
+    // Action whose key combination is being remapped in the keyboard shortcuts panel, if any
+    let capturingKeyAction;
+    // Image scaling mode last applied, reported by the `window.mangareader` API
+    let scalingMode;
+    // Page last reported by the `pagechange` event
+    let reportedPageIndex;
+    // Archive index of the page the archive was opened at, from the URL hash
+    const openedPage = parseInt(location.hash.replace('#_', ''), 10) || 0;
+    // Whether the user has moved on from the opened page. Until then, the progress is not saved so
+    // that the last page read is still offered after reopening the archive.
+    let leftOpenedPage = false;
     // Used by scrubber
     const scrubberState = {
-        screenHeight: 0,
-        previewHeight: 0,
-        markerHeight: 0,
+        // Dimensions along the scrubber's axis, which is vertical in the vertical layout and
+        // horizontal otherwise
+        screenLength: 0,
+        previewLength: 0,
+        markerLength: 0,
         visiblePageIndex: 0,
         previewPageIndex: 0,
         viewDirection: 'vertical',
     };
+    // Source URL of each page image, which is removed from the image while it is unloaded
+    const pageSources = images.map((img) => img.dataset.src || img.getAttribute('src') || '');
+    // Pages and images in the order of the archive, whereas `pages` and `images` also include the
+    // second halves of split double page images. Saved page numbers refer to the archive order.
+    const archivePages = pages.slice();
+    const archiveImages = images.slice();
+    // Used by the page image loader
+    const pageLoaderState = {
+        lastIndex: 0,
+        // 1 if the user is paging forward, -1 if backward
+        travelDirection: 1,
+        // Indices of pages that should currently be loaded
+        wanted: new Set(),
+        // Indices of pages being preloaded
+        pending: new Set(),
+        // Number of load retries attempted for each image
+        retries: new Map(),
+    };
+    // Used by touch gestures
+    const touchState = {
+        enabled: true,
+        // Action from `keyActions` performed when tapping each third of the screen
+        tapZones: { ...defaultTapZones },
+        // Active touch points, by pointer ID
+        pointers: new Map(),
+        // Set once a touch sequence has been used for pinching or panning, so lifting the fingers
+        // is not also treated as a tap or swipe
+        gestureConsumed: false,
+        pinchStartDistance: 0,
+        pinchStartScale: 1,
+        // Time until which clicks are ignored, following a tap that was handled as a gesture
+        suppressClickUntil: 0,
+    };
+    // Used by single page zoom
+    const zoomState = {
+        image: undefined,
+        scale: 1,
+        translateX: 0,
+        translateY: 0,
+        // Set while the zoomed image is being dragged with the mouse
+        dragging: false,
+    };
+    // Used by autoscroll
+    const autoscrollState = {
+        running: false,
+        // Pixels per second, in the vertical layout
+        speed: defaultAutoscrollSpeed,
+        // Seconds per page, in the horizontal layouts
+        interval: defaultAutoscrollInterval,
+        lastFrameTime: 0,
+        lastAdvanceTime: 0,
+        // Fractional pixels not yet scrolled, since scrolling is done in whole pixels
+        carry: 0,
+        // Time until which autoscroll is paused after the user moves the mouse or presses a key
+        pausedUntil: 0,
+    };
+    // Parsed ComicInfo.xml of the archive, if any, set in `setupComicInfo()`
+    let comicInfo;
+    // Indices of pages which are not displayed, e.g. pages marked as deleted in ComicInfo.xml
+    const hiddenPages = new Set();
+    // Indices of pages marked as double page spreads in ComicInfo.xml
+    const doublePages = new Set();
+    // Chapters of the archive in page order, set in `setupChapters()`
+    let chapters = [];
+    // User defined smart fit profiles by key, set in `setupSmartFitProfiles()`
+    let smartFitProfiles = {};
+    // Used by splitting double page images
+    const splitState = {
+        enabled: false,
+        // Whether pages are currently split and in which direction, to skip unneeded rebuilds
+        layout: '',
+        // Added pages showing the second halves of split images
+        secondPages: [],
+        // Archive image shown by each second half image
+        sources: new Map(),
+        // Half of its source shown by each image of a split image
+        halves: new Map(),
+    };
+    // Custom page order of the archive, set in `setupPageOrder()`
+    const pageOrderState = {
+        // Archive indices of the pages in reading order
+        order: archivePages.map((page, i) => i),
+        // Archive indices of the pages hidden by the user
+        hidden: new Set(),
+        // Cell being dragged in the edit pages panel, if any
+        dragged: undefined,
+    };
+    // Used by border trimming
+    const cropState = {
+        enabled: false,
+        // Detected borders of each archive image, in the units of its size attributes
+        trimmed: new Map(),
+        // Region hidden at each side of each image which is trimmed or split
+        boxes: new Map(),
+        // Detected borders of the archive images by archive index, as stored in LocalStorage
+        cache: {},
+    };
+    // Current image adjustments, set in `setupImageFilters()`
+    let imageFilters = { ...defaultImageFilters };
+    // Bookmarked pages of the current archive sorted by page, set in `setupBookmarks()`
+    let bookmarks = [];
+    // Used by the postMessage bridge to a page embedding the reader in a frame
+    const embedState = {
+        enabled: false,
+        // Origins allowed to control the reader, from `embedOrigins` in `config.ini`
+        origins: [],
+        // Origin of the host page, once it has sent a message
+        hostOrigin: undefined,
+        // Serialized state last sent to the host page, to only notify it of actual changes
+        postedState: undefined,
+        // Whether reading progress is kept by the host page instead of LocalStorage
+        progress: false,
+        // Progress of the current archive last received from or sent to the host page
+        hostProgress: undefined,
+        // Whether the host page has sent its saved progress, or that it has none. Until then,
+        // progress is not sent so that it cannot overwrite the saved progress
+        hostProgressReceived: false,
+        resumeOffered: false,
+    };
+    // Used by two-page spread mode
+    const spreadState = {
+        enabled: false,
+        coverOffset: false,
+        // Groups of page indices displayed side by side, set in `applySpreads()`
+        spreads: [],
+    };
+    // Used by paged mode
+    const pagedState = {
+        enabled: false,
+        transition: 'slide',
+        // Page turn animation in progress, if any
+        turn: undefined,
+        // Time of the last page turned with the mouse wheel
+        lastWheelTime: 0,
+    };
     /**
      * Read local `config.ini` file which is encoded in base64 in the `body[data-config]` attribute.
+     * Invalid settings are left out and recorded in `invalidConfigKeys`.
      * @returns Parsed config object, or empty object if valid config not found.
      */
     function load_config_ini() {
+        let config;
         try {
-            return JSON.parse(atob(document.body.dataset.config || ''));
+            config = JSON.parse(atob(document.body.dataset.config || ''));
         }
         catch (e) {
             console.error('Failed to parse config.ini', e);
             return {};
         }
+        if (getSettingType(config) !== 'object') {
+            return {};
+        }
+        const { valid, invalid } = validateConfig(config, configIniSchema);
+        invalidConfigKeys.push(...invalid.map((key) => `config.ini: ${key}`));
+        return valid;
     }
     /**
      * Setup tasks to be run when the user scrolls to a new page.
      */
     function setupIntersectionObserver(threshold, rootMargin) {
-        const throttledUpdateLoadedImages = throttle(updateLoadedImages, 1000);
+        const throttledUpdatePageLoader = throttle(updatePageLoader, 1000);
+        const throttledSaveProgress = throttle(saveProgress, 1000);
         const observer = onIntersectChange((target) => {
             visiblePage = target;
             if (target.dataset.index == null) {
                 return;
             }
+            // A spread is treated as a single page, identified by its first page.
+            const [pageIndex] = getSpread(parseInt(target.dataset.index, 10));
             // Update the URL hash as user scrolls.
             const url = new URL(location.href);
-            url.hash = target.id;
+            url.hash = pages[pageIndex].id;
             history.replaceState(null, '', url.toString());
             // Update the scrubber marker as user scrolls.
-            scrubberState.visiblePageIndex = parseInt(target.dataset.index, 10);
+            scrubberState.visiblePageIndex = pageIndex;
+            // Zoom is reset when turning the page.
+            if (zoomState.image && !getSpread(pageIndex).includes(images.indexOf(zoomState.image))) {
+                resetPageZoom();
+            }
             setScrubberMarkerActive(scrubberState.visiblePageIndex);
-            if (configIni.dynamicImageLoading) {
-                throttledUpdateLoadedImages(images, scrubberState.visiblePageIndex, maxLoadedImages, 'pageloader');
+            announcePage(scrubberState.visiblePageIndex);
+            if (pageIndex !== reportedPageIndex) {
+                reportedPageIndex = pageIndex;
+                dispatchReaderEvent('pagechange', { page: pageIndex, pageId: pages[pageIndex].id });
             }
+            throttledSaveProgress(scrubberState.visiblePageIndex);
+            throttledUpdatePageLoader(scrubberState.visiblePageIndex);
         }, { threshold, rootMargin });
         for (const page of pages) {
             observer.observe(page);
@@ -288,82 +935,356 @@ const INTERSECT_MARGIN = {
     function updateLoadedImages(imgs, visiblePageIndex, maxLoad, tag) {
         animationDispatcher.addTask(tag, () => {
             const maxDistance = maxLoad / 2;
+            // Distance is counted in shown pages, and images of hidden pages are not loaded
+            const shownPages = getShownPages();
+            const positions = new Map(shownPages.map((index, position) => [index, position]));
+            const visiblePosition = visiblePageIndex == null ? 0 : getShownPosition(shownPages, visiblePageIndex);
             for (const [i, img] of imgs.entries()) {
+                const position = positions.get(i);
+                const inRange = position !== undefined && Math.abs(position - visiblePosition) <= maxDistance;
                 if (visiblePageIndex == null) {
                     img.src = loadingPlaceholder;
                 }
-                else if ((!img.src || img.src === loadingPlaceholder) &&
-                    Math.max(visiblePageIndex - maxDistance, 0) <= i &&
-                    i <= visiblePageIndex + maxDistance) {
+                else if ((!img.src || img.src === loadingPlaceholder) && inRange) {
                     img.src = img.dataset.src || loadingPlaceholder;
                 }
-                else if (img.src !== loadingPlaceholder &&
-                    (i < visiblePageIndex - maxDistance || visiblePageIndex + maxDistance < i)) {
+                else if (img.src !== loadingPlaceholder && !inRange) {
+                    img.src = loadingPlaceholder;
+                }
+            }
+        });
+    }
+    /**
+     * Choose which pages to keep loaded around the visible page. Pages are prioritized by distance,
+     * favoring pages ahead in the direction of travel, until the pixel budget is used up.
+     * @returns Indices of pages to load, in order of priority.
+     */
+    function computePageLoadWindow(visiblePageIndex) {
+        var _a, _b, _c;
+        const ahead = (_a = configIni.preloadAhead) !== null && _a !== void 0 ? _a : defaultPreloadAhead;
+        const behind = (_b = configIni.preloadBehind) !== null && _b !== void 0 ? _b : defaultPreloadBehind;
+        const budget = ((_c = configIni.maxLoadedMegapixels) !== null && _c !== void 0 ? _c : defaultMaxLoadedMegapixels) * 1e6;
+        const direction = pageLoaderState.travelDirection;
+        // Hidden pages are skipped over, so they do not count towards the distance
+        const shownPages = getShownPages();
+        const visiblePosition = getShownPosition(shownPages, visiblePageIndex);
+        const candidates = [visiblePageIndex];
+        for (let distance = 1; distance <= Math.max(ahead, behind); distance++) {
+            if (distance <= ahead) {
+                candidates.push(shownPages[visiblePosition + distance * direction]);
+            }
+            if (distance <= behind) {
+                candidates.push(shownPages[visiblePosition - distance * direction]);
+            }
+        }
+        const loadWindow = [];
+        let pixels = 0;
+        for (const index of candidates.filter((i) => images[i] && !hiddenPages.has(i))) {
+            const img = images[index];
+            pixels += getImageWidthAttribute(img) * getImageHeightAttribute(img);
+            // The visible page is always loaded regardless of its size
+            if (loadWindow.length && pixels > budget) {
+                break;
+            }
+            loadWindow.push(index);
+        }
+        return loadWindow;
+    }
+    /**
+     * Preload and decode pages around the visible page so that they display without flashing when
+     * scrolled to. If `dynamicImageLoading` is enabled, pages outside the window are also unloaded
+     * to save memory.
+     */
+    function updatePageLoader(visiblePageIndex) {
+        if (visiblePageIndex !== pageLoaderState.lastIndex) {
+            pageLoaderState.travelDirection = visiblePageIndex > pageLoaderState.lastIndex ? 1 : -1;
+            pageLoaderState.lastIndex = visiblePageIndex;
+        }
+        const loadWindow = computePageLoadWindow(visiblePageIndex);
+        pageLoaderState.wanted = new Set(loadWindow);
+        if (!configIni.dynamicImageLoading) {
+            for (const index of loadWindow) {
+                images[index].loading = 'eager';
+                images[index].decode().catch(() => undefined);
+            }
+            return;
+        }
+        animationDispatcher.addTask('pageloader', () => {
+            for (const [i, img] of images.entries()) {
+                if (!pageLoaderState.wanted.has(i) && img.src && img.src !== loadingPlaceholder) {
                     img.src = loadingPlaceholder;
                 }
             }
         });
+        for (const index of loadWindow) {
+            preloadPageImage(index);
+        }
+    }
+    /**
+     * Load and decode a page image off-screen, retrying with backoff on failure, and display it
+     * once ready if it is still wanted.
+     */
+    async function preloadPageImage(index) {
+        const img = images[index];
+        const src = pageSources[index];
+        if (!src || pageLoaderState.pending.has(index) || (img.src && img.src !== loadingPlaceholder)) {
+            return;
+        }
+        pageLoaderState.pending.add(index);
+        for (let attempt = 0;; attempt++) {
+            try {
+                const loader = new Image();
+                loader.src = src;
+                await loader.decode();
+                break;
+            }
+            catch (err) {
+                if (attempt >= imageRetryLimit || !pageLoaderState.wanted.has(index)) {
+                    // Displaying the image shows it as broken; it is not retried again
+                    pageLoaderState.retries.set(img, imageRetryLimit);
+                    break;
+                }
+                await asyncTimeout(imageRetryDelay * Math.pow(2, attempt));
+            }
+        }
+        pageLoaderState.pending.delete(index);
+        if (pageLoaderState.wanted.has(index) && (!img.src || img.src === loadingPlaceholder)) {
+            img.src = src;
+        }
+    }
+    /**
+     * Retry loading a page image that failed to load, with exponential backoff.
+     */
+    async function handlePageImageError(event) {
+        const img = event.target;
+        if (!(img instanceof HTMLImageElement) || !img.src || img.src === loadingPlaceholder) {
+            return;
+        }
+        const attempt = pageLoaderState.retries.get(img) || 0;
+        if (attempt >= imageRetryLimit) {
+            console.error(`Failed to load image ${img.src}`);
+            return;
+        }
+        pageLoaderState.retries.set(img, attempt + 1);
+        await asyncTimeout(imageRetryDelay * Math.pow(2, attempt));
+        if (img.src !== loadingPlaceholder) {
+            img.src = pageSources[images.indexOf(img)];
+        }
+    }
+    function getOrientation(ratio, longRatio = defaultLongRatio) {
+        return ratio > longRatio ? 'portraitLong' : ratio > 1 ? 'portrait' : 'landscape';
     }
     const imagesMeta = images.map((image) => {
         const ratio = image.height / image.width;
         return {
             image,
-            orientation: ratio > 2 ? 'portraitLong' : ratio > 1 ? 'portrait' : 'landscape',
+            ratio,
+            orientation: getOrientation(ratio),
         };
     });
+    /**
+     * @returns LocalStorage if it can be accessed. Otherwise, e.g. for `file://` urls in Edge, an
+     * in-memory substitute so that settings still work until the page is closed. The URL hash is
+     * not used instead, as it holds the visible page and is rewritten on every page turn.
+     */
+    function openStorage() {
+        try {
+            const testKey = `${storageKey}-test`;
+            localStorage.setItem(testKey, testKey);
+            localStorage.removeItem(testKey);
+            return localStorage;
+        }
+        catch (err) {
+            console.error('LocalStorage is unavailable, settings will not be saved', err);
+            return createMemoryStorage();
+        }
+    }
+    /**
+     * @returns True if settings are only kept in memory and are lost when the page is closed.
+     */
+    function isStorageVolatile() {
+        return !(appStorage instanceof Storage);
+    }
     /**
      * Read the configuration stored in browser LocalStorage. Unlike `config.ini` these settings can
      * be changed directly from the UI.
      *
-     * Note that some browser security policies may forbid LocalStorage access, in which case this
-     * function will return an empty object.
+     * Note that some browser security policies may forbid LocalStorage access, in which case the
+     * configuration is only kept in memory.
      *
      * @returns Parsed configuration file, or empty object if valid config not found or cannot be
      * accessed.
      */
     function readConfig() {
+        const { valid } = validateConfig(readStoredConfig(), configSchema);
+        return { ...getConfigDefaults(configSchema), ...valid };
+    }
+    /**
+     * @returns Configuration exactly as stored, without validation or defaults.
+     */
+    function readStoredConfig() {
         let config = {};
         try {
             // Unfortunately Edge does not allow localStorage access for file:// urls
-            const serializedConfig = localStorage.getItem(storageKey);
+            const serializedConfig = appStorage.getItem(storageKey);
             config = JSON.parse(serializedConfig || '{}');
         }
         catch (err) {
             console.error(err);
         }
-        return config;
+        return getSettingType(config) === 'object' ? config : {};
     }
     /**
      * Update configuration to browser LocalStorage. Note that some browser security policies may
-     * forbid LocalStorage access, in which case this function will do nothing.
+     * forbid LocalStorage access, in which case the update is only kept in memory.
      * @param config Configuration key-value pairs to update. Update is merged with existing config.
      */
     function writeConfig(config) {
-        const oldConfig = readConfig();
+        const oldConfig = readStoredConfig();
         const newConfig = { ...oldConfig, ...config };
         try {
-            localStorage.setItem(storageKey, JSON.stringify(newConfig));
+            appStorage.setItem(storageKey, JSON.stringify(newConfig));
+        }
+        catch (err) {
+            console.error(err);
+        }
+        dispatchReaderEvent('configchange', { changes: config, config: newConfig });
+        // Scaling is written each time it is applied, so it is only reported when it changes
+        if (config.scaling !== undefined && config.scaling !== scalingMode) {
+            scalingMode = config.scaling;
+            dispatchReaderEvent('scalingchange', { scaling: scalingMode });
+        }
+    }
+    /**
+     * Read data stored for the current archive, from a LocalStorage key holding data for all
+     * archives.
+     * @returns Stored data, or undefined if none found or LocalStorage cannot be accessed.
+     */
+    function readArchiveData(key) {
+        try {
+            const store = JSON.parse(appStorage.getItem(key) || '{}');
+            return store[archiveKey];
+        }
+        catch (err) {
+            console.error(err);
+            return undefined;
+        }
+    }
+    /**
+     * Update data stored for the current archive, leaving data of other archives untouched.
+     * @param data Data to store. An undefined value deletes the archive's entry.
+     */
+    function writeArchiveData(key, data) {
+        try {
+            const store = JSON.parse(appStorage.getItem(key) || '{}');
+            store[archiveKey] = data;
+            appStorage.setItem(key, JSON.stringify(store));
         }
         catch (err) {
             console.error(err);
         }
     }
+    /**
+     * @returns Reading progress of the current archive, kept by the host page if the reader is
+     * embedded with `embedProgress`, otherwise in LocalStorage.
+     */
+    function readProgress() {
+        return embedState.progress ? embedState.hostProgress : readArchiveData(progressStorageKey);
+    }
+    function writeProgress(progress) {
+        if (embedState.progress) {
+            if (!embedState.hostProgressReceived) {
+                return;
+            }
+            embedState.hostProgress = progress;
+            postToHost({ type: 'mangareader:progress', archiveKey, progress });
+        }
+        else {
+            writeArchiveData(progressStorageKey, progress);
+        }
+    }
+    /**
+     * Record the reading progress of the current archive.
+     * @param pageIndex Index of the currently visible page.
+     */
+    function saveProgress(pageIndex) {
+        if (!leftOpenedPage) {
+            if (toArchiveIndex(pageIndex) === openedPage) {
+                return;
+            }
+            leftOpenedPage = true;
+        }
+        const progress = readProgress() || {};
+        const spread = getSpread(pageIndex);
+        const furthestPage = Math.max(progress.furthestPage || 0, toArchiveIndex(spread[spread.length - 1]));
+        writeProgress({
+            title: document.title,
+            lastPage: toArchiveIndex(pageIndex),
+            furthestPage,
+            percent: Math.round(((furthestPage + 1) / archiveImages.length) * 100),
+            timestamp: Date.now(),
+        });
+    }
+    /**
+     * Offer to resume reading the current archive where the user last left off, unless it was
+     * opened at that page already.
+     */
+    async function setupProgress() {
+        const progress = readProgress();
+        if (!progress || !progress.lastPage || progress.lastPage === openedPage || !archiveImages[progress.lastPage]) {
+            return;
+        }
+        const lastPage = toPageIndex(progress.lastPage);
+        resumePageSpan.innerText = `${lastPage + 1}`;
+        resumeLink.href = `#${pages[lastPage].id}`;
+        resumeLink.addEventListener('click', (event) => {
+            event.preventDefault();
+            scrollToPage(lastPage, false);
+            resumeToast.classList.remove('show');
+        }, { once: true });
+        Object.assign(resumeToast.style, { display: 'initial' });
+        await asyncTimeout(0);
+        resumeToast.classList.add('show');
+        await asyncTimeout(8000);
+        resumeToast.classList.remove('show');
+    }
     /**
      * Do initial setup of the page based on configuration settings.
      */
     async function loadSettings() {
         configIni = load_config_ini();
+        setupConfig();
+        setupEmbedBridge(configIni);
         const config = readConfig();
         initShowNavPref(configIni);
+        setupSmartFitProfiles(config);
         initScalingMode(config);
+        setupSpreads(config);
+        setupSplitPages(config);
+        setupPagedMode(config);
+        setupTouchGestures(config);
+        setupAutoscroll(config);
+        setupImageFilters(config);
         // Need to wait for page to render, otherwise intersection observer fires before viewport
         // moves to the initial URL hash for the opened image
         await asyncTimeout(0);
+        setupComicInfo();
+        setupPageOrder();
         setupDirection(config);
         setupZenscroll(config);
         setupDarkMode(config);
         setupSeamless(config);
         setupScrubber(configIni);
+        setupKeyBindings(config);
+        setupProgress();
+        setupBookmarks();
+        setupChapters(config);
+        setupAutoCrop(config);
+        setupUpdateCheck(config);
+        setupStorageWarning();
+        showInvalidConfigNotice();
+        setupAccessibility();
+        notifyHostReady();
     }
     /**
      * Hide the navigation buttons if `disable-nav = yes` in `config.ini`.
@@ -385,6 +1306,8 @@ const INTERSECT_MARGIN = {
                 return handleFitWidth();
             case 'fit_height':
                 return handleFitHeight();
+            case 'fit':
+                return handleFitSize();
             case 'shrink':
                 return handleShrinkSize();
             case 'shrink_width':
@@ -395,20 +1318,64 @@ const INTERSECT_MARGIN = {
                 return smartFitImages(smartFit.size0);
             case 'smart_size1':
                 return smartFitImages(smartFit.size1);
+            default:
+                if (scaling.startsWith('smart_') && smartFitProfiles[scaling.slice(6)]) {
+                    return smartFitImages(smartFitProfiles[scaling.slice(6)]);
+                }
+        }
+    }
+    /**
+     * Size some images for the current scaling mode, without saving it or scrolling to the
+     * visible page, e.g. after their borders are trimmed.
+     */
+    function rescaleImages(imgs) {
+        const scaling = readConfig().scaling || 'none';
+        switch (scaling) {
+            case 'none':
+                return setImagesWidth('none', getWidth(), imgs);
+            case 'fit_width':
+                return setImagesWidth('fit', getWidth(), imgs);
+            case 'fit_height':
+                return setImagesHeight('fit', getHeight(), imgs);
+            case 'fit':
+                return setImagesDimensions('fit', getWidth(), getHeight(), imgs);
+            case 'shrink':
+                return setImagesDimensions('shrink', getWidth(), getHeight(), imgs);
+            case 'shrink_width':
+                return setImagesWidth('shrink', getWidth(), imgs);
+            case 'shrink_height':
+                return setImagesHeight('shrink', getHeight(), imgs);
+            case 'smart_size0':
+                return smartFitImages(smartFit.size0, imgs);
+            case 'smart_size1':
+                return smartFitImages(smartFit.size1, imgs);
+            default:
+                if (scaling.startsWith('smart_') && smartFitProfiles[scaling.slice(6)]) {
+                    return smartFitImages(smartFitProfiles[scaling.slice(6)], imgs);
+                }
         }
     }
     /**
-     * Apply the user's last selected layout direction preference. Defaults to vertical direction.
+     * @returns Layout direction of the current archive: the one chosen by the user for this archive,
+     * the reading direction from ComicInfo.xml, or the user's last selected direction, in that order.
+     */
+    function getArchiveDirection(config) {
+        return readArchiveData(directionStorageKey) || getComicInfoDirection() || config.direction || 'vertical';
+    }
+    /**
+     * Apply the layout direction of the current archive. Defaults to vertical direction.
      */
     async function setupDirection(config) {
         var _a;
-        const direction = config.direction || 'vertical';
+        const direction = getArchiveDirection(config);
         const directionRadioBtn = directionRadioBtns.find((button) => button.value === direction);
         if (!directionRadioBtn) {
             return;
         }
         directionRadioBtn.checked = true;
-        setDirection(direction);
+        // Only a direction chosen by the user is saved, so the reading direction from
+        // ComicInfo.xml does not carry over to other archives
+        setDirection(direction, false);
         // HACK: on initial page load, browser auto scrolls to the beginning of the page after some
         // unspecified delay.
         // For RTL layout, viewport must be scrolled to the end initially but must be delayed until
@@ -423,12 +1390,14 @@ const INTERSECT_MARGIN = {
      */
     function setupZenscroll(config) {
         window.zenscroll.setup(170);
-        if (config.smoothScroll) {
-            smoothScrollCheckbox.checked = true;
-        }
-        else {
-            window.pauseZenscroll = true;
-        }
+        smoothScrollCheckbox.checked = Boolean(config.smoothScroll);
+        updateZenscrollPause();
+    }
+    /**
+     * Pause smooth scrolling if disabled by the user or if the system asks for reduced motion.
+     */
+    function updateZenscrollPause() {
+        window.pauseZenscroll = !smoothScrollCheckbox.checked || reducedMotionQuery.matches;
     }
     /**
      * Apply the user's last selected dark mode preference.
@@ -453,6 +1422,17 @@ const INTERSECT_MARGIN = {
             seamlessCheckbox.dispatchEvent(change);
         }
     }
+    /**
+     * Apply the user's last selected two-page spread preferences. Spreads only take effect in the
+     * horizontal layouts, and are applied when the direction is set.
+     */
+    function setupSpreads(config) {
+        var _a, _b;
+        spreadState.enabled = (_a = config.spreads) !== null && _a !== void 0 ? _a : false;
+        spreadState.coverOffset = (_b = config.spreadCoverOffset) !== null && _b !== void 0 ? _b : false;
+        spreadsCheckbox.checked = spreadState.enabled;
+        spreadCoverCheckbox.checked = spreadState.coverOffset;
+    }
     /**
      * @returns Width of the browser viewport in pixels.
      */
@@ -465,11 +1445,40 @@ const INTERSECT_MARGIN = {
     function getHeight() {
         return document.documentElement.clientHeight;
     }
+    /**
+     * @returns Height of an image from its `height` attribute, less any trimmed borders.
+     */
     function getImageHeightAttribute(img) {
-        return parseInt(img.getAttribute('height') || '-1', 10);
+        const height = parseInt(img.getAttribute('height') || '-1', 10);
+        const box = cropState.boxes.get(img);
+        return box && height > 0 ? height - box.top - box.bottom : height;
     }
+    /**
+     * @returns Width of an image from its `width` attribute, less any trimmed borders.
+     */
     function getImageWidthAttribute(img) {
-        return parseInt(img.getAttribute('width') || '-1', 10);
+        const width = parseInt(img.getAttribute('width') || '-1', 10);
+        const box = cropState.boxes.get(img);
+        return box && width > 0 ? width - box.left - box.right : width;
+    }
+    /**
+     * @returns Element laid out for an image: the wrapper clipping it if only part of the image is
+     * shown, see `clipImage()`, otherwise the image itself. Page images are sized and zoomed through
+     * it.
+     */
+    function getImageFrame(img) {
+        const parent = img.parentElement;
+        return parent && parent.classList.contains('image-clip') ? parent : img;
+    }
+    /**
+     * Display an image at its original size, which excludes any trimmed borders.
+     */
+    function resetImageSize(img) {
+        const cropped = cropState.boxes.has(img);
+        Object.assign(getImageFrame(img).style, {
+            width: cropped ? `${getImageWidthAttribute(img)}px` : null,
+            height: cropped ? `${getImageHeightAttribute(img)}px` : null,
+        });
     }
     /**
      * @returns Rescaled height of an image if sized to `width`, preserving aspect ratio.
@@ -499,6 +1508,10 @@ const INTERSECT_MARGIN = {
         setImagesHeight('fit', getHeight());
         writeConfig({ scaling: 'fit_height' });
     }
+    function handleFitSize() {
+        setImagesDimensions('fit', getWidth(), getHeight());
+        writeConfig({ scaling: 'fit' });
+    }
     function handleShrinkWidth() {
         setImagesWidth('shrink', getWidth());
         writeConfig({ scaling: 'shrink_width' });
@@ -507,113 +1520,135 @@ const INTERSECT_MARGIN = {
         setImagesHeight('shrink', getHeight());
         writeConfig({ scaling: 'shrink_height' });
     }
+    function handleSmartFit(key) {
+        smartFitImages(smartFit[key] || smartFitProfiles[key]);
+        writeConfig({ scaling: `smart_${key}` });
+    }
     function handleSmartWidth(event) {
         if (event.target instanceof HTMLElement) {
             const key = event.target.dataset.fitKey;
             if (key) {
-                smartFitImages(smartFit[key]);
-                writeConfig({ scaling: `smart_${key}` });
+                handleSmartFit(key);
             }
         }
     }
-    function setImagesWidth(fitMode, width) {
-        for (const img of images) {
+    /**
+     * Size images to `width` for `fitMode`, all of them by default. The visible page is scrolled
+     * back into view only when all images are sized.
+     */
+    function setImagesWidth(fitMode, width, imgs = images) {
+        for (const img of imgs) {
             switch (fitMode) {
                 case 'fit':
-                    Object.assign(img.style, {
+                    Object.assign(getImageFrame(img).style, {
                         width: `${width}px`,
                         height: `${widthToRatioHeight(img, width)}px`,
                     });
                     break;
                 case 'shrink':
                     const maxWidth = Math.min(getImageWidthAttribute(img), width);
-                    Object.assign(img.style, {
+                    Object.assign(getImageFrame(img).style, {
                         width: `${maxWidth}px`,
                         height: `${widthToRatioHeight(img, maxWidth)}px`,
                     });
                     break;
                 default:
-                    Object.assign(img.style, {
-                        width: null,
-                        height: null,
-                    });
+                    resetImageSize(img);
             }
         }
-        visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView();
+        if (imgs === images) {
+            visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView();
+        }
     }
-    function setImagesHeight(fitMode, height) {
-        for (const img of images) {
+    function setImagesHeight(fitMode, height, imgs = images) {
+        for (const img of imgs) {
             switch (fitMode) {
                 case 'fit':
-                    Object.assign(img.style, {
+                    Object.assign(getImageFrame(img).style, {
                         height: `${height}px`,
                         width: `${heightToRatioWidth(img, height)}px`,
                     });
                     break;
                 case 'shrink':
                     const maxHeight = Math.min(getImageHeightAttribute(img), height);
-                    Object.assign(img.style, {
+                    Object.assign(getImageFrame(img).style, {
                         width: `${heightToRatioWidth(img, maxHeight)}px`,
                         height: `${maxHeight}px`,
                     });
                     break;
                 default:
-                    Object.assign(img.style, {
-                        width: null,
-                        height: null,
-                    });
+                    resetImageSize(img);
             }
         }
-        visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView({ inline: 'center' });
+        if (imgs === images) {
+            visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView({ inline: 'center' });
+        }
     }
-    function setImagesDimensions(fitMode, width, height) {
-        for (const img of images) {
+    function setImagesDimensions(fitMode, width, height, imgs = images) {
+        for (const img of imgs) {
             switch (fitMode) {
                 case 'fit':
-                    // Not implemented
+                    fitImageSize(img, height, width);
                     break;
                 case 'shrink':
                     clampImageSize(img, height, width);
                     break;
                 default:
-                    Object.assign(img.style, {
-                        width: null,
-                        height: null,
-                    });
+                    resetImageSize(img);
             }
         }
-        visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView();
+        if (imgs === images) {
+            visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView();
+        }
     }
     function clampImageSize(img, height, width) {
         const scaledWidth = heightToRatioWidth(img, height);
         const scaledHeight = widthToRatioHeight(img, width);
         if (getImageHeightAttribute(img) <= height && getImageWidthAttribute(img) <= width) {
-            Object.assign(img.style, {
-                width: null,
-                height: null,
-            });
+            resetImageSize(img);
         }
         else if (scaledWidth > width) {
-            Object.assign(img.style, {
+            Object.assign(getImageFrame(img).style, {
                 width: `${width}px`,
                 height: `${scaledHeight}px`,
             });
         }
         else if (scaledHeight > height) {
-            Object.assign(img.style, {
+            Object.assign(getImageFrame(img).style, {
+                width: `${scaledWidth}px`,
+                height: `${height}px`,
+            });
+        }
+    }
+    /**
+     * Scale an image up or down to the largest size that fits within `width` and `height`.
+     */
+    function fitImageSize(img, height, width) {
+        const scaledWidth = heightToRatioWidth(img, height);
+        if (scaledWidth > width) {
+            Object.assign(getImageFrame(img).style, {
+                width: `${width}px`,
+                height: `${widthToRatioHeight(img, width)}px`,
+            });
+        }
+        else {
+            Object.assign(getImageFrame(img).style, {
                 width: `${scaledWidth}px`,
                 height: `${height}px`,
             });
         }
     }
-    function smartFitImages(fitMode) {
+    function smartFitImages(fitMode, imgs = images) {
         const screenWidth = getWidth();
         const screenHeight = getHeight();
-        for (const { image: img, orientation: orient } of imagesMeta) {
-            switch (orient) {
+        for (const { image: img, ratio } of imagesMeta) {
+            if (imgs !== images && !imgs.includes(img)) {
+                continue;
+            }
+            switch (getOrientation(ratio, fitMode.longRatio)) {
                 case 'portrait':
-                    const maxHeight = Math.min(getImageHeightAttribute(img), fitMode.portrait.height);
-                    Object.assign(img.style, {
+                    const maxHeight = Math.min(getImageHeightAttribute(img), fitMode.portrait.height, fitMode.portrait.width ? widthToRatioHeight(img, fitMode.portrait.width) : Infinity);
+                    Object.assign(getImageFrame(img).style, {
                         width: `${heightToRatioWidth(img, maxHeight)}px`,
                         height: `${maxHeight}px`,
                     });
@@ -623,15 +1658,18 @@ const INTERSECT_MARGIN = {
                     break;
                 case 'portraitLong':
                     const maxWidth = Math.min(getImageWidthAttribute(img), fitMode.portraitLong.width);
-                    Object.assign(img.style, {
+                    Object.assign(getImageFrame(img).style, {
                         width: `${maxWidth}px`,
                         height: `${widthToRatioHeight(img, maxWidth)}px`,
                     });
             }
         }
-        visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView({ inline: 'center' });
+        if (imgs === images) {
+            visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView({ inline: 'center' });
+        }
     }
-    function setDirection(direction) {
+    function setDirection(direction, save = true) {
+        const previousDirection = scrubberState.viewDirection;
         scrubberState.viewDirection = direction;
         // intersection observer must be recreated to change the root margin
         intersectObserver === null || intersectObserver === void 0 ? void 0 : intersectObserver.disconnect();
@@ -644,10 +1682,545 @@ const INTERSECT_MARGIN = {
             case 'vertical':
                 visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.scrollIntoView({ inline: 'center' });
         }
+        applySplitPages();
+        updateScrubberSlider(scrubberState.visiblePageIndex);
         intersectObserver = setupIntersectionObserver(0, INTERSECT_MARGIN[direction]);
+        // The scrubber moves between the side and the bottom of the screen
+        scrubberPreviewDiv.style.transform = '';
+        scrubberMarker.style.transform = '';
+        if (scrubberState.screenLength) {
+            measureScrubber();
+        }
+        applySpreads();
+        applyPagedMode();
+        if (save) {
+            writeConfig({
+                direction: direction,
+            });
+            // Overrides the reading direction from ComicInfo.xml for this archive only
+            const comicInfoDirection = getComicInfoDirection();
+            writeArchiveData(directionStorageKey, comicInfoDirection && direction !== comicInfoDirection ? direction : undefined);
+        }
+        if (direction !== previousDirection) {
+            dispatchReaderEvent('directionchange', { direction });
+        }
+    }
+    function spreadsActive() {
+        return (spreadState.enabled &&
+            (scrubberState.viewDirection === 'horizontal' ||
+                scrubberState.viewDirection === 'horizontal-rtl'));
+    }
+    /**
+     * Group pages into two-page spreads. Landscape images and double pages are assumed to already
+     * be a spread and stand alone, as does the cover if `coverOffset` is set. Hidden pages are
+     * skipped.
+     */
+    function computeSpreads(coverOffset) {
+        const spreads = [];
+        let pending = [];
+        const firstShown = findShownPage(0, 1);
+        for (const [i, { orientation }] of imagesMeta.entries()) {
+            if (hiddenPages.has(i)) {
+                continue;
+            }
+            if (orientation === 'landscape' || doublePages.has(i) || (coverOffset && i === firstShown)) {
+                if (pending.length) {
+                    spreads.push(pending);
+                    pending = [];
+                }
+                spreads.push([i]);
+            }
+            else {
+                pending.push(i);
+                if (pending.length === 2) {
+                    spreads.push(pending);
+                    pending = [];
+                }
+            }
+        }
+        if (pending.length) {
+            spreads.push(pending);
+        }
+        return spreads;
+    }
+    /**
+     * @returns Indices of the pages in the spread containing page `index`, or just `index` itself
+     * if spreads are not active.
+     */
+    function getSpread(index) {
+        if (!spreadsActive()) {
+            return [index];
+        }
+        return spreadState.spreads.find((spread) => spread.includes(index)) || [index];
+    }
+    /**
+     * Lay out pages as two-page spreads if spreads are active, otherwise restore single pages.
+     */
+    function applySpreads() {
+        const active = spreadsActive();
+        spreadState.spreads = active ? computeSpreads(spreadState.coverOffset) : [];
+        document.body.classList.toggle('spread', active);
+        for (const page of pages) {
+            page.classList.remove('spread-start', 'spread-end');
+        }
+        for (const spread of spreadState.spreads) {
+            if (spread.length === 2) {
+                pages[spread[0]].classList.add('spread-start');
+                pages[spread[1]].classList.add('spread-end');
+            }
+        }
+        updatePageLinks();
+        renderChapterDividers();
+        scrubberState.visiblePageIndex = getSpread(scrubberState.visiblePageIndex)[0];
+        setScrubberMarkerActive(scrubberState.visiblePageIndex);
+        if (visiblePage) {
+            scrollToPage(scrubberState.visiblePageIndex, false);
+        }
+    }
+    function handleSpreads(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        spreadState.enabled = event.target.checked;
+        writeConfig({
+            spreads: spreadState.enabled,
+        });
+        // Double page images are only split when not showing spreads
+        applySplitPages();
+        applySpreads();
+    }
+    function handleSpreadCover(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        spreadState.coverOffset = event.target.checked;
+        writeConfig({
+            spreadCoverOffset: spreadState.coverOffset,
+        });
+        applySpreads();
+    }
+    /**
+     * Apply the user's last paged mode preferences. Paged mode only takes effect in the horizontal
+     * layouts, and is applied when the direction is set.
+     */
+    function setupPagedMode(config) {
+        var _a;
+        pagedState.enabled = (_a = config.pagedMode) !== null && _a !== void 0 ? _a : false;
+        pagedModeCheckbox.checked = pagedState.enabled;
+        setPageTransition(config.pageTransition || 'slide');
+    }
+    function setPageTransition(transition) {
+        pagedState.transition = transition;
+        for (const button of pageTransitionBtns) {
+            button.setAttribute('aria-pressed', `${button.dataset.transition === transition}`);
+        }
+    }
+    function pagedModeActive() {
+        return (pagedState.enabled &&
+            (scrubberState.viewDirection === 'horizontal' ||
+                scrubberState.viewDirection === 'horizontal-rtl'));
+    }
+    /**
+     * Show one page or spread at a time if paged mode is active, otherwise restore the continuous
+     * layout at the current page.
+     */
+    function applyPagedMode() {
+        const wasActive = document.body.classList.contains('paged');
+        const active = pagedModeActive();
+        finishPageTurn();
+        document.body.classList.toggle('paged', active);
+        if (active) {
+            const hashPage = pages.find((page) => `#${page.id}` === location.hash);
+            const index = visiblePage || !hashPage ? scrubberState.visiblePageIndex : pages.indexOf(hashPage);
+            turnToPage(index, false);
+        }
+        else if (wasActive) {
+            for (const page of pages) {
+                page.classList.remove('paged-visible');
+            }
+            scrollToPage(scrubberState.visiblePageIndex, false);
+        }
+    }
+    /**
+     * Show the page at `index` in paged mode, along with the rest of its spread.
+     * @param animate Turn the page with the selected transition, unless the system asks for reduced
+     * motion.
+     */
+    function turnToPage(index, animate) {
+        finishPageTurn();
+        const spread = getSpread(index);
+        const entering = spread.map((i) => pages[i]);
+        const leaving = pages.filter((page) => page.classList.contains('paged-visible') && !entering.includes(page));
+        if (!leaving.length && entering.every((page) => page.classList.contains('paged-visible'))) {
+            return;
+        }
+        // Set immediately rather than by the intersection observer, so pages turned in quick
+        // succession do not start from the same page
+        scrubberState.visiblePageIndex = spread[0];
+        if (!animate || !leaving.length || reducedMotionQuery.matches) {
+            for (const page of leaving) {
+                page.classList.remove('paged-visible');
+            }
+            for (const page of entering) {
+                page.classList.add('paged-visible');
+            }
+            window.scrollTo({ top: 0 });
+            return;
+        }
+        // Leaving pages are taken out of the layout where they are, so the entering pages can take
+        // their place underneath them
+        const leavingRects = leaving.map((page) => page.getBoundingClientRect());
+        for (const [i, page] of leaving.entries()) {
+            const { left, top, width, height } = leavingRects[i];
+            Object.assign(page.style, {
+                position: 'fixed',
+                left: `${left}px`,
+                top: `${top}px`,
+                width: `${width}px`,
+                height: `${height}px`,
+                margin: '0',
+            });
+        }
+        for (const page of entering) {
+            page.classList.add('paged-visible');
+        }
+        window.scrollTo({ top: 0 });
+        pagedState.turn = {
+            start: performance.now(),
+            forward: pages.indexOf(leaving[0]) < spread[0],
+            leaving,
+            entering,
+            leavingRects,
+            enteringRects: entering.map((page) => page.getBoundingClientRect()),
+        };
+        renderPageTurn(pagedState.turn, 0);
+        animationDispatcher.setWatcher('page-turn', pageTurnFrame);
+    }
+    function pageTurnFrame() {
+        const turn = pagedState.turn;
+        if (!turn) {
+            return;
+        }
+        const progress = (performance.now() - turn.start) / pageTurnDuration;
+        if (progress >= 1) {
+            return finishPageTurn();
+        }
+        // Ease out
+        renderPageTurn(turn, 1 - Math.pow(1 - progress, 3));
+    }
+    /**
+     * Style the pages of a page turn at the given point of the animation, from 0 to 1. Directions
+     * are mirrored in the `horizontal-rtl` layout, where the next page comes in from the left.
+     */
+    function renderPageTurn(turn, progress) {
+        const rtl = scrubberState.viewDirection === 'horizontal-rtl';
+        // 1 if the entering pages come in from the right, -1 if from the left
+        const side = turn.forward !== rtl ? 1 : -1;
+        switch (pagedState.transition) {
+            case 'slide':
+                setPagesStyle(turn.leaving, { transform: `translateX(${-side * progress * getWidth()}px)` });
+                setPagesStyle(turn.entering, {
+                    transform: `translateX(${side * (1 - progress) * getWidth()}px)`,
+                });
+                return;
+            case 'fade':
+                setPagesStyle(turn.leaving, { opacity: `${1 - progress}` });
+                setPagesStyle(turn.entering, { opacity: `${progress}` });
+                return;
+            case 'flip': {
+                // The turning sheet is on top and pivots on the spine: the leaving pages flip away
+                // when turning forward, and the entering pages flip back in when turning backward.
+                const [turning, rects] = turn.forward
+                    ? [turn.leaving, turn.leavingRects]
+                    : [turn.entering, turn.enteringRects];
+                const spine = rtl
+                    ? Math.max(...rects.map((rect) => rect.right))
+                    : Math.min(...rects.map((rect) => rect.left));
+                const angle = (rtl ? 180 : -180) * (turn.forward ? progress : 1 - progress);
+                // Shade the sheet as it lifts off the page, for the look of a curling page
+                const shade = 1 - 0.4 * Math.abs(Math.sin((angle * Math.PI) / 180));
+                for (const [i, page] of turning.entries()) {
+                    Object.assign(page.style, {
+                        zIndex: '1',
+                        backfaceVisibility: 'hidden',
+                        transformOrigin: `${spine - rects[i].left}px 50%`,
+                        transform: `perspective(${getWidth() * 2}px) rotateY(${angle}deg)`,
+                        filter: `brightness(${shade})`,
+                    });
+                }
+                return;
+            }
+        }
+    }
+    function setPagesStyle(pageDivs, style) {
+        for (const page of pageDivs) {
+            Object.assign(page.style, style);
+        }
+    }
+    /**
+     * Complete the page turn in progress, if any, leaving only the entering pages shown.
+     */
+    function finishPageTurn() {
+        const turn = pagedState.turn;
+        if (!turn) {
+            return;
+        }
+        pagedState.turn = undefined;
+        animationDispatcher.setWatcher('page-turn');
+        for (const page of turn.leaving) {
+            page.classList.remove('paged-visible');
+        }
+        setPagesStyle([...turn.leaving, ...turn.entering], {
+            position: '',
+            left: '',
+            top: '',
+            width: '',
+            height: '',
+            margin: '',
+            zIndex: '',
+            opacity: '',
+            filter: '',
+            transform: '',
+            transformOrigin: '',
+            backfaceVisibility: '',
+        });
+    }
+    function handlePagedMode(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        pagedState.enabled = event.target.checked;
+        writeConfig({
+            pagedMode: pagedState.enabled,
+        });
+        applyPagedMode();
+    }
+    function handlePageTransition(event) {
+        if (event.target instanceof HTMLElement) {
+            const transition = event.target.dataset.transition;
+            if (transition) {
+                setPageTransition(transition);
+                writeConfig({ pageTransition: transition });
+            }
+        }
+    }
+    /**
+     * Show the page in the URL hash when it is changed in paged mode, since the browser cannot
+     * scroll to pages which are not displayed.
+     */
+    function handlePagedHashChange() {
+        if (!pagedModeActive()) {
+            return;
+        }
+        const hashPage = pages.find((page) => `#${page.id}` === location.hash);
+        if (hashPage) {
+            scrollToPage(pages.indexOf(hashPage));
+        }
+    }
+    /**
+     * Apply the user's last page splitting preference. Pages are split once the direction is set.
+     */
+    function setupSplitPages(config) {
+        var _a;
+        splitState.enabled = (_a = config.splitPages) !== null && _a !== void 0 ? _a : false;
+        splitPagesCheckbox.checked = splitState.enabled;
+    }
+    /**
+     * @returns Index in the archive of the image shown by a page.
+     */
+    function toArchiveIndex(pageIndex) {
+        const img = images[pageIndex];
+        return archiveImages.indexOf(splitState.sources.get(img) || img);
+    }
+    /**
+     * @returns Index of the page showing an archive image, or its first half if split.
+     */
+    function toPageIndex(archiveIndex) {
+        return images.indexOf(archiveImages[archiveIndex]);
+    }
+    /**
+     * @returns True if an image is a double page, going by the ratio of its size attributes.
+     */
+    function isDoublePageImage(img) {
+        const width = parseInt(img.getAttribute('width') || '-1', 10);
+        const height = parseInt(img.getAttribute('height') || '-1', 10);
+        return width > 0 && height > 0 && getOrientation(height / width) === 'landscape';
+    }
+    /**
+     * Show each double page image as two pages if splitting is enabled and spreads are not active,
+     * otherwise restore the archive's pages.
+     */
+    function applySplitPages() {
+        const active = splitState.enabled && !spreadsActive();
+        const layout = active ? scrubberState.viewDirection : '';
+        if (layout === splitState.layout) {
+            return;
+        }
+        splitState.layout = layout;
+        rebuildPages();
+    }
+    /**
+     * Lay out the archive's pages in the custom page order, hiding pages deleted in ComicInfo.xml
+     * or hidden by the user. If pages are split, each double page image is shown as two pages, the
+     * first of which shows the right half of the image in the right-to-left layout and the left
+     * half otherwise. Page indices held by other features are carried over to the new pages.
+     */
+    function rebuildPages() {
+        const layout = splitState.layout;
+        const visibleArchiveIndex = toArchiveIndex(scrubberState.visiblePageIndex);
+        const hiddenArchivePages = getHiddenArchivePages();
+        const doubleArchivePages = Array.from(doublePages, toArchiveIndex);
+        const archiveBookmarks = bookmarks.map((bookmark) => ({ ...bookmark, page: toArchiveIndex(bookmark.page) }));
+        resetPageZoom();
+        for (const page of splitState.secondPages) {
+            page.remove();
+        }
+        splitState.secondPages = [];
+        splitState.sources.clear();
+        splitState.halves.clear();
+        const firstHalf = layout === 'horizontal-rtl' ? 'right' : 'left';
+        const secondHalf = firstHalf === 'left' ? 'right' : 'left';
+        const sourceIndices = new Map(images.map((img, i) => [img, i]));
+        const newPages = [];
+        const newSources = [];
+        const newArchiveIndices = [];
+        for (const i of pageOrderState.order) {
+            const page = archivePages[i];
+            const img = archiveImages[i];
+            const src = pageSources[sourceIndices.get(img)];
+            newPages.push(page);
+            newSources.push(src);
+            newArchiveIndices.push(i);
+            if (!layout || !isDoublePageImage(img)) {
+                continue;
+            }
+            const secondPage = page.cloneNode(true);
+            secondPage.id = `${page.id}b`;
+            secondPage.classList.remove('paged-visible');
+            const secondImg = secondPage.getElementsByClassName('image')[0];
+            secondImg.addEventListener('error', handlePageImageError);
+            secondImg.addEventListener('load', () => pageLoaderState.retries.delete(secondImg));
+            secondImg.addEventListener('load', handleCropImageLoad);
+            page.after(secondPage);
+            splitState.secondPages.push(secondPage);
+            splitState.sources.set(secondImg, img);
+            splitState.halves.set(img, firstHalf);
+            splitState.halves.set(secondImg, secondHalf);
+            newPages.push(secondPage);
+            newSources.push(src);
+            newArchiveIndices.push(i);
+            intersectObserver === null || intersectObserver === void 0 ? void 0 : intersectObserver.observe(secondPage);
+        }
+        pagesContainerDiv.append(...newPages);
+        pages.splice(0, pages.length, ...newPages);
+        images.splice(0, images.length, ...newPages.map((page) => page.getElementsByClassName('image')[0]));
+        pageSources.splice(0, pageSources.length, ...newSources);
+        for (const [i, page] of pages.entries()) {
+            page.dataset.index = `${i}`;
+        }
+        hiddenPages.clear();
+        for (const [i, page] of pages.entries()) {
+            const hidden = hiddenArchivePages.has(newArchiveIndices[i]);
+            page.classList.toggle('page-hidden', hidden);
+            if (hidden) {
+                hiddenPages.add(i);
+            }
+        }
+        doublePages.clear();
+        for (const archiveIndex of doubleArchivePages) {
+            if (!splitState.halves.has(archiveImages[archiveIndex])) {
+                doublePages.add(toPageIndex(archiveIndex));
+            }
+        }
+        pageLoaderState.wanted.clear();
+        pageLoaderState.pending.clear();
+        applyImageBoxes();
+        updatePageLinks();
+        if (scrubberImages) {
+            for (const previewImage of scrubberImages) {
+                getImageFrame(previewImage).remove();
+            }
+            scrubberImages = setupScrubberPreview();
+        }
+        if (overviewCells) {
+            overviewGrid.replaceChildren();
+            overviewCells = undefined;
+        }
+        if (archiveBookmarks.length) {
+            setBookmarks(archiveBookmarks.map((bookmark) => ({ ...bookmark, page: toPageIndex(bookmark.page) })));
+        }
+        setupChapters(readConfig());
+        initScalingMode(readConfig());
+        if (visiblePage) {
+            scrubberState.visiblePageIndex = toPageIndex(visibleArchiveIndex);
+            scrollToPage(scrubberState.visiblePageIndex, false);
+            updatePageLoader(scrubberState.visiblePageIndex);
+        }
+        else {
+            // The page in the URL may be a second half, which did not exist when the page loaded
+            const hashPage = pages.find((page) => `#${page.id}` === location.hash);
+            hashPage === null || hashPage === void 0 ? void 0 : hashPage.scrollIntoView();
+        }
+    }
+    function handleSplitPages(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        splitState.enabled = event.target.checked;
         writeConfig({
-            direction: direction,
+            splitPages: splitState.enabled,
         });
+        applySplitPages();
+        applySpreads();
+    }
+    /**
+     * @returns Archive indices of the pages marked as deleted in ComicInfo.xml.
+     */
+    function getDeletedArchivePages() {
+        return comicInfo
+            ? comicInfo.pages.filter(({ type }) => type === 'Deleted').map(({ image }) => image)
+            : [];
+    }
+    /**
+     * @returns Archive indices of the pages which are not displayed: those deleted in
+     * ComicInfo.xml and those hidden by the user.
+     */
+    function getHiddenArchivePages() {
+        return new Set([...getDeletedArchivePages(), ...pageOrderState.hidden]);
+    }
+    /**
+     * Apply the custom page order and hidden pages saved for the current archive, if any. A saved
+     * order which does not match the archive's pages is ignored.
+     */
+    function setupPageOrder() {
+        const saved = readArchiveData(pageOrderStorageKey);
+        if (getSettingType(saved) !== 'object') {
+            return;
+        }
+        const order = Array.isArray(saved.order) ? saved.order : [];
+        const validOrder = order.length === archivePages.length &&
+            new Set(order).size === order.length &&
+            order.every((archiveIndex) => Number.isInteger(archiveIndex) && archivePages[archiveIndex]);
+        if (validOrder) {
+            pageOrderState.order = order;
+        }
+        const hidden = Array.isArray(saved.hidden) ? saved.hidden : [];
+        pageOrderState.hidden = new Set(hidden.filter((archiveIndex) => Number.isInteger(archiveIndex) && archivePages[archiveIndex]));
+        rebuildPages();
+    }
+    /**
+     * Change the page order and hidden pages of the current archive and save them. Nothing is
+     * saved for the archive's own order with no hidden pages.
+     * @param order Archive indices of all pages in reading order.
+     * @param hidden Archive indices of the pages to hide.
+     */
+    function applyPageOrder(order, hidden) {
+        pageOrderState.order = order;
+        pageOrderState.hidden = new Set(hidden);
+        const custom = hidden.length > 0 || order.some((archiveIndex, i) => archiveIndex !== i);
+        writeArchiveData(pageOrderStorageKey, custom ? { order, hidden } : undefined);
+        rebuildPages();
+        applySpreads();
     }
     function handleViewDirection(event) {
         if (!(event.target instanceof HTMLInputElement)) {
@@ -663,7 +2236,7 @@ const INTERSECT_MARGIN = {
         if (!(event.target instanceof HTMLInputElement)) {
             return;
         }
-        window.pauseZenscroll = !event.target.checked;
+        updateZenscrollPause();
         writeConfig({
             smoothScroll: event.target.checked,
         });
@@ -703,6 +2276,22 @@ const INTERSECT_MARGIN = {
         if (event.ctrlKey || event.shiftKey || event.altKey || event.metaKey || !event.deltaY) {
             return;
         }
+        if (pagedModeActive()) {
+            event.preventDefault();
+            // A single flick of the wheel fires many events, so a page is only turned after the
+            // wheel has rested for a moment
+            const now = Date.now();
+            if (now - pagedState.lastWheelTime > pageTurnDuration) {
+                if (event.deltaY > 0) {
+                    nextPage();
+                }
+                else {
+                    prevPage();
+                }
+            }
+            pagedState.lastWheelTime = now;
+            return;
+        }
         switch (scrubberState.viewDirection) {
             case 'horizontal':
                 event.preventDefault();
@@ -714,101 +2303,2098 @@ const INTERSECT_MARGIN = {
                 return;
         }
     }
-    function setupListeners() {
-        originalWidthBtn.addEventListener('click', handleOriginalSize);
-        shrinkSizeBtn.addEventListener('click', handleShrinkSize);
-        shrinkWidthBtn.addEventListener('click', handleShrinkWidth);
-        shrinkHeightBtn.addEventListener('click', handleShrinkHeight);
-        fitWidthBtn.addEventListener('click', handleFitWidth);
-        fitHeightBtn.addEventListener('click', handleFitHeight);
-        for (const button of smartFitBtns) {
-            button.addEventListener('click', handleSmartWidth);
+    /**
+     * Scroll to the page at the given index, clamped to the valid page range. If the page is part
+     * of a spread, the whole spread is centered.
+     * @param smooth Use smooth scrolling in the vertical layout, if it is enabled, or animate the
+     * page turn in paged mode.
+     */
+    function scrollToPage(index, smooth = true) {
+        const clampedIndex = Math.max(0, Math.min(index, images.length - 1));
+        // Hidden pages cannot be scrolled to, so the nearest shown page after it is used instead,
+        // or else the one before it
+        const nextShown = findShownPage(clampedIndex, 1);
+        const shownIndex = hiddenPages.has(nextShown) ? findShownPage(clampedIndex, -1) : nextShown;
+        const image = images[shownIndex];
+        if (!image) {
+            return;
         }
-        for (const button of directionRadioBtns) {
-            button.addEventListener('input', handleViewDirection);
+        if (pagedModeActive()) {
+            return turnToPage(shownIndex, smooth);
+        }
+        const spread = getSpread(shownIndex);
+        if (spread.length > 1) {
+            const left = Math.min(...spread.map((i) => getImageFrame(images[i]).getBoundingClientRect().left));
+            const right = Math.max(...spread.map((i) => getImageFrame(images[i]).getBoundingClientRect().right));
+            window.scrollBy({ left: (left + right) / 2 - getWidth() / 2 });
+        }
+        else if (smooth && !window.pauseZenscroll && scrubberState.viewDirection === 'vertical') {
+            window.zenscroll.to(getImageFrame(image));
+        }
+        else {
+            getImageFrame(image).scrollIntoView({ inline: 'center' });
         }
-        smoothScrollCheckbox.addEventListener('change', handleSmoothScroll);
-        darkModeCheckbox.addEventListener('change', handleDarkMode);
-        seamlessCheckbox.addEventListener('change', handleSeamless);
-        document.addEventListener('wheel', handleHorizontalScroll, { passive: false });
     }
-    function setupScrubberPreview() {
-        const previewImages = images.map((img, i) => {
-            const previewImage = document.createElement('img');
-            previewImage.loading = 'lazy';
-            previewImage.classList.add('scrubber-preview-image');
-            previewImage.dataset.index = `${i}`;
-            if (configIni.dynamicImageLoading) {
-                previewImage.src = loadingPlaceholder;
-            }
-            else {
-                previewImage.src = img.dataset.thumbnail || loadingPlaceholder;
-            }
-            previewImage.dataset.src = `${img.dataset.thumbnail}`;
-            previewImage.addEventListener('error', async (event) => {
-                previewImage.src = loadingPlaceholder;
-                await asyncTimeout(2000);
-                previewImage.src = previewImage.dataset.src || loadingPlaceholder;
-            });
-            previewImage.style.width = `${heightToRatioWidth(img, 180)}px`;
-            return previewImage;
-        });
-        scrubberPreviewDiv.append(...previewImages);
-        return previewImages;
+    function pageRight() {
+        return scrubberState.viewDirection === 'horizontal-rtl' ? prevPage() : nextPage();
     }
-    function computeMarkerY(cursorY) {
-        return Math.max(0, Math.min(cursorY - scrubberState.markerHeight / 2, scrubberState.screenHeight - scrubberState.markerHeight));
+    function pageLeft() {
+        return scrubberState.viewDirection === 'horizontal-rtl' ? nextPage() : prevPage();
     }
-    function setScrubberMarkerActive(activeIndex) {
-        const activeY = ((activeIndex + 0.5) / images.length) * scrubberState.screenHeight -
-            scrubberState.markerHeight / 2;
-        scrubberMarkerActive.style.transform = `translateY(${activeY}px)`;
-        scrubberMarkerActive.innerText = `${activeIndex + 1}`;
+    function nextPage() {
+        const spread = getSpread(scrubberState.visiblePageIndex);
+        scrollToPage(findShownPage(spread[spread.length - 1] + 1, 1));
     }
-    function setupScrubber(configIni) {
-        if (configIni.disableNavBar) {
-            scrubberIconDiv.style.display = 'none';
-            scrubberContainerDiv.style.display = 'none';
-            return;
-        }
-        let prevImage;
-        const setPreviewScroll = (cursorY) => {
-            const cursorYRatio = cursorY / scrubberState.screenHeight;
-            scrubberPreviewDiv.style.transform = `translateY(${-cursorYRatio * scrubberState.previewHeight + cursorY}px)`;
-        };
-        const setMarkerPosition = (cursorY) => {
-            const markerYPos = computeMarkerY(cursorY);
-            scrubberMarker.style.transform = `translateY(${markerYPos}px)`;
+    function prevPage() {
+        scrollToPage(findShownPage(getSpread(scrubberState.visiblePageIndex)[0] - 1, -1));
+    }
+    /**
+     * @returns Index of the first page from `index` in the direction of `step` which is not
+     * hidden, or `index` itself if there is none.
+     */
+    function findShownPage(index, step) {
+        for (let i = index; images[i]; i += step) {
+            if (!hiddenPages.has(i)) {
+                return i;
+            }
+        }
+        return index;
+    }
+    /**
+     * @returns Indices of the pages which are not hidden, in display order.
+     */
+    function getShownPages() {
+        return pages.map((page, i) => i).filter((i) => !hiddenPages.has(i));
+    }
+    /**
+     * @returns Position of a page among the shown pages. A hidden page takes the position of the
+     * next shown page.
+     */
+    function getShownPosition(shownPages, index) {
+        return shownPages.filter((i) => i < index).length;
+    }
+    /**
+     * Point the previous and next links of each page at the first page of the nearest spreads
+     * which are not hidden, and label the links and page images for screen readers.
+     */
+    function updatePageLinks() {
+        for (const [i, page] of pages.entries()) {
+            const prevLink = page.querySelector('.prev');
+            const nextLink = page.querySelector('.next');
+            prevLink === null || prevLink === void 0 ? void 0 : prevLink.parentElement.setAttribute('aria-label', 'Previous page');
+            nextLink === null || nextLink === void 0 ? void 0 : nextLink.parentElement.setAttribute('aria-label', 'Next page');
+            images[i].alt = `Page ${i + 1}`;
+            const spread = getSpread(i);
+            const prevIndex = getSpread(findShownPage(spread[0] - 1, -1))[0];
+            const nextIndex = findShownPage(spread[spread.length - 1] + 1, 1);
+            prevLink === null || prevLink === void 0 ? void 0 : prevLink.parentElement.setAttribute('href', images[prevIndex] && !hiddenPages.has(prevIndex) ? `#${pages[prevIndex].id}` : '#_none');
+            nextLink === null || nextLink === void 0 ? void 0 : nextLink.parentElement.setAttribute('href', images[nextIndex] && !hiddenPages.has(nextIndex) ? `#${pages[nextIndex].id}` : '#_none');
+        }
+    }
+    function promptJumpToPage() {
+        const input = prompt(`Go to page (1-${images.length})`, `${scrubberState.visiblePageIndex + 1}`);
+        const pageNumber = parseInt(input || '', 10);
+        if (!isNaN(pageNumber)) {
+            scrollToPage(pageNumber - 1);
+        }
+    }
+    /**
+     * Toggle a settings checkbox, dispatching the `change` event so that its handler runs.
+     */
+    function toggleCheckbox(checkbox) {
+        checkbox.checked = !checkbox.checked;
+        const change = new Event('change', { cancelable: true });
+        checkbox.dispatchEvent(change);
+    }
+    function openPanel(panel) {
+        panel.classList.add('open');
+    }
+    function closePanel(panel) {
+        panel.classList.remove('open');
+    }
+    /**
+     * @returns True if any panel was open and has been closed.
+     */
+    function closeAllPanels() {
+        const openPanels = Array.from(document.querySelectorAll('.panel.open'));
+        for (const panel of openPanels) {
+            closePanel(panel);
+        }
+        return openPanels.length > 0;
+    }
+    /**
+     * Convert a keyboard event to its key combination string, e.g. `Ctrl+ArrowLeft`. Shift is only
+     * included for non-printable keys, since it is already reflected in printable ones (`G` vs `g`).
+     */
+    function keyEventToBinding(event) {
+        const key = event.key === ' ' ? 'Space' : event.key;
+        const modifiers = [
+            event.ctrlKey && 'Ctrl',
+            event.altKey && 'Alt',
+            event.metaKey && 'Meta',
+            event.shiftKey && key.length > 1 && 'Shift',
+        ].filter(Boolean);
+        return [...modifiers, key].join('+');
+    }
+    /**
+     * Apply the user's keyboard shortcut preferences, falling back to the defaults in `keyActions`
+     * for any action not remapped.
+     */
+    function setupKeyBindings(config) {
+        const defaults = Object.fromEntries(Object.entries(keyActions).map(([action, { keys }]) => [action, keys]));
+        keyBindings = { ...defaults, ...(config.keyBindings || {}) };
+        renderKeyBindings();
+    }
+    function renderKeyBindings() {
+        const rows = Object.entries(keyActions).map(([action, { label }]) => {
+            const row = document.createElement('div');
+            row.classList.add('panel-row');
+            const labelSpan = document.createElement('span');
+            labelSpan.innerText = label;
+            const keysBtn = document.createElement('button');
+            keysBtn.classList.add('keybinding-keys');
+            keysBtn.dataset.action = action;
+            keysBtn.innerText =
+                action === capturingKeyAction
+                    ? 'Press a key...'
+                    : (keyBindings[action] || []).join(', ') || 'Unassigned';
+            row.append(labelSpan, keysBtn);
+            return row;
+        });
+        keyBindingsList.replaceChildren(...rows);
+    }
+    /**
+     * Assign a key combination to an action, removing it from any other action it was bound to.
+     * Passing no binding unassigns the action.
+     */
+    function setKeyBinding(action, binding) {
+        for (const [otherAction, keys] of Object.entries(keyBindings)) {
+            keyBindings[otherAction] = keys.filter((key) => key !== binding);
+        }
+        keyBindings[action] = binding ? [binding] : [];
+        writeConfig({ keyBindings });
+    }
+    function handleKeyBindingsClick(event) {
+        if (!(event.target instanceof HTMLElement) || !event.target.dataset.action) {
+            return;
+        }
+        capturingKeyAction = event.target.dataset.action;
+        renderKeyBindings();
+    }
+    function handleKeyBindingsReset() {
+        capturingKeyAction = undefined;
+        writeConfig({ keyBindings: undefined });
+        setupKeyBindings({});
+    }
+    function runKeyAction(action) {
+        switch (action) {
+            case 'pageRight':
+                return pageRight();
+            case 'pageLeft':
+                return pageLeft();
+            case 'nextPage':
+                return nextPage();
+            case 'prevPage':
+                return prevPage();
+            case 'firstPage':
+                return scrollToPage(0);
+            case 'lastPage':
+                return scrollToPage(images.length - 1);
+            case 'jumpToPage':
+                return promptJumpToPage();
+            case 'originalSize':
+                return handleOriginalSize();
+            case 'shrinkSize':
+                return handleShrinkSize();
+            case 'shrinkWidth':
+                return handleShrinkWidth();
+            case 'shrinkHeight':
+                return handleShrinkHeight();
+            case 'fitWidth':
+                return handleFitWidth();
+            case 'fitHeight':
+                return handleFitHeight();
+            case 'fitSize':
+                return handleFitSize();
+            case 'smartSize0':
+                return handleSmartFit('size0');
+            case 'smartSize1':
+                return handleSmartFit('size1');
+            case 'darkMode':
+                return toggleCheckbox(darkModeCheckbox);
+            case 'seamless':
+                return toggleCheckbox(seamlessCheckbox);
+            case 'spreads':
+                return toggleCheckbox(spreadsCheckbox);
+            case 'pagedMode':
+                return toggleCheckbox(pagedModeCheckbox);
+            case 'toggleUi':
+                return document.body.classList.toggle('show-ui');
+            case 'zoomPage':
+                return toggleZoomCurrentPage();
+            case 'magnifier':
+                return setMagnifier(!magnifierCheckbox.checked);
+            case 'imageFilters':
+                return toggleCheckbox(imageFiltersCheckbox);
+            case 'bookmark':
+                return toggleBookmark(scrubberState.visiblePageIndex);
+            case 'showBookmarks':
+                return openPanel(bookmarksPanel);
+            case 'nextChapter':
+                return goToChapter(1);
+            case 'prevChapter':
+                return goToChapter(-1);
+            case 'showChapters':
+                return openChapters();
+            case 'overview':
+                return overviewPanel.classList.contains('open') ? closePanel(overviewPanel) : openOverview();
+            case 'editPages':
+                return editPagesPanel.classList.contains('open') ? closePanel(editPagesPanel) : openEditPages();
+            case 'autoscroll':
+                return autoscrollState.running ? stopAutoscroll() : startAutoscroll();
+            case 'autoscrollFaster':
+                return adjustAutoscroll(1);
+            case 'autoscrollSlower':
+                return adjustAutoscroll(-1);
+            case 'showShortcuts':
+                return openPanel(keyBindingsPanel);
+        }
+    }
+    function handleKeyDown(event) {
+        const target = event.target;
+        if (event.defaultPrevented ||
+            (target instanceof HTMLElement &&
+                (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)))) {
+            return;
+        }
+        if (['Control', 'Alt', 'Shift', 'Meta'].includes(event.key)) {
+            return;
+        }
+        if (capturingKeyAction && keyBindingsPanel.classList.contains('open')) {
+            // Remap the selected action. Escape cancels, Backspace/Delete unassigns.
+            event.preventDefault();
+            if (event.key !== 'Escape') {
+                const unassign = event.key === 'Backspace' || event.key === 'Delete';
+                setKeyBinding(capturingKeyAction, unassign ? undefined : keyEventToBinding(event));
+            }
+            capturingKeyAction = undefined;
+            renderKeyBindings();
+            return;
+        }
+        if (event.key === 'Escape' && closeAllPanels()) {
+            return;
+        }
+        if (event.key === 'Escape' && (zoomState.image || magnifierCheckbox.checked)) {
+            resetPageZoom();
+            setMagnifier(false);
+            return;
+        }
+        const binding = keyEventToBinding(event);
+        const action = Object.keys(keyBindings).find((name) => keyBindings[name].includes(binding));
+        if ((overviewPanel.classList.contains('open') && action !== 'overview') ||
+            (editPagesPanel.classList.contains('open') && action !== 'editPages')) {
+            // The overview and edit pages panels handle their own keyboard navigation
+            return;
+        }
+        if (!(action || '').startsWith('autoscroll')) {
+            // Any other key pauses autoscroll
+            pauseAutoscroll();
+        }
+        if (action) {
+            event.preventDefault();
+            runKeyAction(action);
+        }
+    }
+    function applyPageZoom() {
+        const { image, scale, translateX, translateY } = zoomState;
+        if (image) {
+            getImageFrame(image).style.transform = `translate(${translateX}px, ${translateY}px) scale(${scale})`;
+        }
+    }
+    /**
+     * Magnify a single page image, leaving the scaling of all other pages untouched. Zooming
+     * another image resets the previous one.
+     * @param scale Magnification relative to the image's current scaled size.
+     * @param originX Horizontal viewport coordinate which stays fixed while zooming.
+     * @param originY Vertical viewport coordinate which stays fixed while zooming.
+     */
+    function zoomPage(image, scale, originX, originY) {
+        if (zoomState.image !== image) {
+            resetPageZoom();
+            zoomState.image = image;
+            getImageFrame(image).classList.add('zoomed');
+        }
+        const newScale = Math.max(1, Math.min(scale, maxPageZoom));
+        if (newScale === 1) {
+            return resetPageZoom();
+        }
+        const rect = getImageFrame(image).getBoundingClientRect();
+        // Position of the origin in the unzoomed image, and of the unzoomed image in the viewport
+        const localX = (originX - rect.left) / zoomState.scale;
+        const localY = (originY - rect.top) / zoomState.scale;
+        const baseLeft = rect.left - zoomState.translateX;
+        const baseTop = rect.top - zoomState.translateY;
+        zoomState.scale = newScale;
+        zoomState.translateX = originX - baseLeft - newScale * localX;
+        zoomState.translateY = originY - baseTop - newScale * localY;
+        applyPageZoom();
+    }
+    function panPageZoom(deltaX, deltaY) {
+        zoomState.translateX += deltaX;
+        zoomState.translateY += deltaY;
+        applyPageZoom();
+    }
+    function resetPageZoom() {
+        const { image } = zoomState;
+        if (image) {
+            const frame = getImageFrame(image);
+            frame.classList.remove('zoomed');
+            frame.style.transform = '';
+        }
+        Object.assign(zoomState, { image: undefined, scale: 1, translateX: 0, translateY: 0, dragging: false });
+    }
+    /**
+     * Zoom the current page to 2x at the center of the viewport, or reset it if already zoomed.
+     */
+    function toggleZoomCurrentPage() {
+        const image = images[scrubberState.visiblePageIndex];
+        if (zoomState.image === image) {
+            return resetPageZoom();
+        }
+        if (image) {
+            zoomPage(image, 2, getWidth() / 2, getHeight() / 2);
+        }
+    }
+    /**
+     * Zoom the page under the cursor with the mouse wheel while holding Ctrl.
+     */
+    function handleZoomWheel(event) {
+        if (!event.ctrlKey) {
+            return;
+        }
+        const image = getTouchedImage(event);
+        if (!image) {
+            return;
+        }
+        // Prevent the browser zooming the entire page
+        event.preventDefault();
+        const scale = zoomState.image === image ? zoomState.scale : 1;
+        zoomPage(image, scale * Math.exp(-event.deltaY * 0.002), event.clientX, event.clientY);
+    }
+    function handleZoomDoubleClick(event) {
+        const image = getTouchedImage(event);
+        if (!image) {
+            return;
+        }
+        if (zoomState.image === image) {
+            resetPageZoom();
+        }
+        else {
+            zoomPage(image, 2, event.clientX, event.clientY);
+        }
+    }
+    function handleZoomDragStart(event) {
+        if (event.pointerType !== 'mouse' || event.button !== 0 || event.target !== zoomState.image) {
+            return;
+        }
+        // Prevents the browser's native image dragging
+        event.preventDefault();
+        zoomState.dragging = true;
+        zoomState.image.setPointerCapture(event.pointerId);
+    }
+    function handleZoomDragMove(event) {
+        if (zoomState.dragging && event.pointerType === 'mouse') {
+            panPageZoom(event.movementX, event.movementY);
+        }
+    }
+    function handleZoomDragEnd(event) {
+        if (event.pointerType === 'mouse') {
+            zoomState.dragging = false;
+        }
+    }
+    function setMagnifier(enabled) {
+        magnifierCheckbox.checked = enabled;
+        document.body.classList.toggle('magnifier', enabled);
+        if (!enabled) {
+            magnifierDiv.style.display = 'none';
+        }
+    }
+    function handleMagnifier(event) {
+        if (event.target instanceof HTMLInputElement) {
+            setMagnifier(event.target.checked);
+        }
+    }
+    /**
+     * Apply the user's last border trimming preference.
+     */
+    function setupAutoCrop(config) {
+        cropState.cache = readArchiveData(cropStorageKey) || {};
+        if (cropState.cache.unreadable) {
+            disableAutoCrop();
+            return;
+        }
+        autoCropCheckbox.checked = Boolean(config.autoCrop);
+        if (config.autoCrop) {
+            setAutoCrop(true);
+        }
+    }
+    /**
+     * Trim the borders of the images already detected for the archive, or restore the untrimmed
+     * images. The borders of other images are detected as they load, see `handleCropImageLoad()`.
+     */
+    function setAutoCrop(enabled) {
+        cropState.enabled = enabled;
+        const trimmed = new Map();
+        if (enabled) {
+            for (const [i, img] of archiveImages.entries()) {
+                const box = cropState.cache[i];
+                if (box && box.some(Boolean)) {
+                    const [top, right, bottom, left] = box;
+                    trimmed.set(img, { top, right, bottom, left });
+                }
+            }
+        }
+        cropState.trimmed = trimmed;
+        applyTrimmedImages();
+        if (enabled) {
+            for (const img of images) {
+                if (img.complete && img.naturalWidth) {
+                    detectImageCrop(img);
+                }
+            }
+        }
+    }
+    /**
+     * Display the trimmed images and reapply scaling to their new sizes, keeping the visible page.
+     */
+    function applyTrimmedImages() {
+        applyImageBoxes();
+        const pageIndex = scrubberState.visiblePageIndex;
+        initScalingMode(readConfig());
+        applySpreads();
+        if (visiblePage) {
+            scrollToPage(pageIndex, false);
+        }
+    }
+    /**
+     * Turn off border trimming for an archive whose images cannot be read, e.g. opened from a
+     * `file://` page.
+     */
+    function disableAutoCrop() {
+        autoCropCheckbox.checked = false;
+        autoCropCheckbox.disabled = true;
+        autoCropCheckbox.parentElement.title = 'Images of this archive cannot be read by the browser';
+        if (cropState.enabled) {
+            setAutoCrop(false);
+        }
+    }
+    function handleCropImageLoad(event) {
+        if (event.target instanceof HTMLImageElement && cropState.enabled) {
+            detectImageCrop(event.target);
+        }
+    }
+    /**
+     * Detect the borders of a loaded page image, if not already cached for the archive, and trim
+     * them. Each result is cached as soon as it is found.
+     */
+    function detectImageCrop(img) {
+        const source = splitState.sources.get(img) || img;
+        const archiveIndex = archiveImages.indexOf(source);
+        if (archiveIndex < 0 || cropState.cache[archiveIndex] || !img.src || img.src === loadingPlaceholder) {
+            return;
+        }
+        let box;
+        try {
+            box = detectCropBox(img, source);
+        }
+        catch (err) {
+            // Reading a canvas with a cross-origin image, e.g. on some `file://` pages, fails for
+            // every image, so the failure is remembered instead of retrying on every load
+            if (err instanceof DOMException && err.name === 'SecurityError') {
+                cropState.cache = { unreadable: true };
+                writeArchiveData(cropStorageKey, cropState.cache);
+                disableAutoCrop();
+            }
+            else {
+                console.warn(`Failed to detect borders of ${img.src}`, err);
+            }
+            return;
+        }
+        cropState.cache[archiveIndex] = box;
+        writeArchiveData(cropStorageKey, cropState.cache);
+        if (box.some(Boolean)) {
+            const [top, right, bottom, left] = box;
+            cropState.trimmed.set(source, { top, right, bottom, left });
+            applyTrimmedImage(source);
+        }
+    }
+    /**
+     * Display the newly trimmed borders of an archive image and resize its pages, keeping the
+     * visible page at the same place on screen.
+     */
+    function applyTrimmedImage(source) {
+        const trimmedPages = [];
+        for (const [i, img] of images.entries()) {
+            if ((splitState.sources.get(img) || img) === source) {
+                trimmedPages.push(i);
+            }
+        }
+        const orientations = trimmedPages.map((i) => imagesMeta[i].orientation);
+        const anchor = visiblePage === null || visiblePage === void 0 ? void 0 : visiblePage.getBoundingClientRect();
+        applyImageBoxes();
+        rescaleImages(trimmedPages.map((i) => images[i]));
+        if (spreadsActive() && trimmedPages.some((i, j) => imagesMeta[i].orientation !== orientations[j])) {
+            applySpreads();
+        }
+        else if (anchor && visiblePage) {
+            const { left, top } = visiblePage.getBoundingClientRect();
+            window.scrollBy(left - anchor.left, top - anchor.top);
+        }
+    }
+    /**
+     * @returns Region hidden at each side of an image, combining its trimmed borders and the half
+     * hidden if it is split, or undefined if the whole image is shown.
+     */
+    function getImageBox(img) {
+        const source = splitState.sources.get(img) || img;
+        const trim = cropState.trimmed.get(source);
+        const half = splitState.halves.get(img);
+        if (!half) {
+            return trim;
+        }
+        const halfWidth = parseInt(source.getAttribute('width') || '-1', 10) / 2;
+        const box = trim ? { ...trim } : { top: 0, right: 0, bottom: 0, left: 0 };
+        if (half === 'left') {
+            box.right = halfWidth;
+        }
+        else {
+            box.left = halfWidth;
+        }
+        return box;
+    }
+    /**
+     * Show only the region of an image inside a box by wrapping it in an element which clips it, or
+     * show the whole image again if there is no box or its size is unknown. The wrapper is sized in
+     * place of the image, which is sized and positioned relative to it.
+     * @param box Region hidden at each side, in the units of `width` and `height`.
+     * @param width Width of the whole image, in any units.
+     * @param height Height of the whole image, in the same units.
+     * @returns The wrapper, or the image itself if the whole image is shown.
+     */
+    function clipImage(img, box, width, height) {
+        let frame = getImageFrame(img);
+        if (!box || !(width > 0 && height > 0)) {
+            if (frame !== img) {
+                frame.replaceWith(img);
+                Object.assign(img.style, { left: '', top: '', width: '', height: '' });
+            }
+            return img;
+        }
+        if (frame === img) {
+            frame = document.createElement('span');
+            frame.classList.add('image-clip');
+            img.replaceWith(frame);
+            frame.append(img);
+        }
+        const shownWidth = width - box.left - box.right;
+        const shownHeight = height - box.top - box.bottom;
+        Object.assign(img.style, {
+            left: `${(-box.left / shownWidth) * 100}%`,
+            top: `${(-box.top / shownHeight) * 100}%`,
+            width: `${(width / shownWidth) * 100}%`,
+            height: `${(height / shownHeight) * 100}%`,
+        });
+        return frame;
+    }
+    /**
+     * Display the trimmed or split region of each image, updating their size ratios to match.
+     */
+    function applyImageBoxes() {
+        cropState.boxes = new Map();
+        for (const [i, image] of images.entries()) {
+            const box = getImageBox(image);
+            const width = parseInt(image.getAttribute('width') || '-1', 10);
+            const height = parseInt(image.getAttribute('height') || '-1', 10);
+            clipImage(image, box, width, height);
+            if (box) {
+                cropState.boxes.set(image, box);
+            }
+            const ratio = box ? getImageHeightAttribute(image) / getImageWidthAttribute(image) : height / width;
+            imagesMeta[i] = { image, ratio, orientation: getOrientation(ratio) };
+        }
+        imagesMeta.length = images.length;
+    }
+    /**
+     * Clip a thumbnail to the trimmed or split region of the page image it previews.
+     * @returns Element to lay out for the thumbnail.
+     */
+    function clipThumbnail(thumbnail, img) {
+        const width = parseInt(img.getAttribute('width') || '-1', 10);
+        const height = parseInt(img.getAttribute('height') || '-1', 10);
+        return clipImage(thumbnail, cropState.boxes.get(img), width, height);
+    }
+    /**
+     * Find uniformly colored borders of a loaded image by sampling its edge rows and columns in a
+     * downscaled copy.
+     * @param source Archive image whose size attributes the borders are measured in.
+     * @returns Borders as `[top, right, bottom, left]` in the units of the source's size
+     * attributes.
+     */
+    function detectCropBox(img, source) {
+        const scale = Math.min(1, cropSampleSize / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * scale));
+        const height = Math.max(1, Math.round(img.naturalHeight * scale));
+        const canvas = document.createElement('canvas');
+        Object.assign(canvas, { width, height });
+        const context = canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(img, 0, 0, width, height);
+        // Throws a `SecurityError` if the browser considers the image cross-origin
+        const { data } = context.getImageData(0, 0, width, height);
+        const widthRatio = parseInt(source.getAttribute('width') || `${img.naturalWidth}`, 10) / width;
+        const heightRatio = parseInt(source.getAttribute('height') || `${img.naturalHeight}`, 10) / height;
+        return [
+            countUniformLines(data, height, width, (line, i) => (line * width + i) * 4) * heightRatio,
+            countUniformLines(data, width, height, (line, i) => (i * width + width - 1 - line) * 4) * widthRatio,
+            countUniformLines(data, height, width, (line, i) => ((height - 1 - line) * width + i) * 4) * heightRatio,
+            countUniformLines(data, width, height, (line, i) => (i * width + line) * 4) * widthRatio,
+        ].map(Math.floor);
+    }
+    /**
+     * Count the lines of pixels from one edge of an image which are the same color as the first
+     * pixel of that edge, allowing for a little noise.
+     * @param offsetOf Index in `data` of the pixel at a position along a line from the edge.
+     */
+    function countUniformLines(data, lineCount, lineLength, offsetOf) {
+        const reference = offsetOf(0, 0);
+        const maxLines = Math.floor(lineCount * cropMaxFraction);
+        for (let line = 0; line < maxLines; line++) {
+            let outliers = 0;
+            for (let i = 0; i < lineLength; i++) {
+                const offset = offsetOf(line, i);
+                if (Math.abs(data[offset] - data[reference]) > cropTolerance ||
+                    Math.abs(data[offset + 1] - data[reference + 1]) > cropTolerance ||
+                    Math.abs(data[offset + 2] - data[reference + 2]) > cropTolerance) {
+                    outliers++;
+                }
+            }
+            // Tolerate specks of dust in scanned borders
+            if (outliers > lineLength * 0.02) {
+                return line;
+            }
+        }
+        return maxLines;
+    }
+    function handleAutoCrop(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        writeConfig({
+            autoCrop: event.target.checked,
+        });
+        setAutoCrop(event.target.checked);
+    }
+    /**
+     * Apply the user's last image adjustments.
+     */
+    function setupImageFilters(config) {
+        setImageFilters({ ...defaultImageFilters, ...config.imageFilters });
+    }
+    /**
+     * Update the image adjustments and their controls, and apply them to the page images. Gamma
+     * and sharpening have no CSS filter function, so they use the SVG filter in the page.
+     */
+    function setImageFilters(filters) {
+        imageFilters = filters;
+        imageFiltersCheckbox.checked = filters.enabled;
+        for (const input of imageFilterInputs) {
+            const value = filters[input.dataset.filter || ''];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            }
+            else {
+                input.value = `${value}`;
+                const output = input.nextElementSibling;
+                if (output instanceof HTMLOutputElement) {
+                    output.value = input.dataset.filter === 'gamma' ? `${value}` : `${value}%`;
+                }
+            }
+        }
+        for (const func of imageGammaFuncs) {
+            func.setAttribute('exponent', `${1 / filters.gamma}`);
+        }
+        imageSharpenMatrix.setAttribute('kernelMatrix', filters.sharpen ? '0 -1 0 -1 5 -1 0 -1 0' : '0 0 0 0 1 0 0 0 0');
+        const functions = [
+            `brightness(${filters.brightness}%)`,
+            `contrast(${filters.contrast}%)`,
+            `saturate(${filters.saturation}%)`,
+            `sepia(${filters.sepia}%)`,
+            `invert(${filters.invert ? 1 : 0})`,
+        ];
+        if (filters.gamma !== 1 || filters.sharpen) {
+            functions.push('url(#image-adjust-filter)');
+        }
+        if (filters.enabled) {
+            document.body.style.setProperty('--image-filter', functions.join(' '));
+        }
+        else {
+            document.body.style.removeProperty('--image-filter');
+        }
+    }
+    function handleImageFiltersToggle(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        setImageFilters({ ...imageFilters, enabled: event.target.checked });
+        writeConfig({
+            imageFilters,
+        });
+    }
+    /**
+     * Preview an adjustment while its slider is moved, enabling the filters if necessary. The
+     * adjustment is saved once the slider is released.
+     */
+    function handleImageFilterInput(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        const { filter } = event.target.dataset;
+        if (!filter) {
+            return;
+        }
+        const value = event.target.type === 'checkbox' ? event.target.checked : parseFloat(event.target.value);
+        setImageFilters({ ...imageFilters, enabled: true, [filter]: value });
+    }
+    function handleImageFilterChange() {
+        writeConfig({
+            imageFilters,
+        });
+    }
+    function resetImageFilters() {
+        setImageFilters({ ...defaultImageFilters, enabled: imageFilters.enabled });
+        writeConfig({
+            imageFilters,
+        });
+    }
+    /**
+     * Move the magnifier lens to the cursor, showing the image under it at its full source
+     * resolution.
+     */
+    function handleMagnifierMove(event) {
+        if (!magnifierCheckbox.checked) {
+            return;
+        }
+        const image = getTouchedImage(event);
+        const { clientX, clientY } = event;
+        animationDispatcher.addTask('magnifier', () => {
+            const src = image && image.src !== loadingPlaceholder ? image.currentSrc || image.src : '';
+            if (!image || !src) {
+                magnifierDiv.style.display = 'none';
+                return;
+            }
+            // The shown region excludes trimmed borders and the other half of a split image, but
+            // the background is the whole image
+            const rect = getImageFrame(image).getBoundingClientRect();
+            const box = cropState.boxes.get(image);
+            const sourceWidth = parseInt(image.getAttribute('width') || '-1', 10);
+            const sourceHeight = parseInt(image.getAttribute('height') || '-1', 10);
+            const sourceX = (box ? box.left : 0) + ((clientX - rect.left) / rect.width) * getImageWidthAttribute(image);
+            const sourceY = (box ? box.top : 0) + ((clientY - rect.top) / rect.height) * getImageHeightAttribute(image);
+            Object.assign(magnifierDiv.style, {
+                display: 'block',
+                width: `${magnifierSize}px`,
+                height: `${magnifierSize}px`,
+                transform: `translate(${clientX - magnifierSize / 2}px, ${clientY - magnifierSize / 2}px)`,
+                backgroundImage: `url("${src}")`,
+                backgroundSize: `${sourceWidth}px ${sourceHeight}px`,
+                backgroundPosition: `${magnifierSize / 2 - sourceX}px ${magnifierSize / 2 - sourceY}px`,
+            });
+        });
+    }
+    /**
+     * Apply the user's last selected touch gesture preferences.
+     */
+    function setupTouchGestures(config) {
+        var _a;
+        touchState.enabled = (_a = config.touchGestures) !== null && _a !== void 0 ? _a : true;
+        touchState.tapZones = { ...defaultTapZones, ...(config.tapZones || {}) };
+        touchGesturesCheckbox.checked = touchState.enabled;
+        document.body.classList.toggle('touch-gestures', touchState.enabled);
+        const options = Object.entries({ none: { label: 'Nothing' }, ...keyActions });
+        for (const select of tapZoneSelects) {
+            select.replaceChildren(...options.map(([action, { label }]) => new Option(label, action)));
+            select.value = touchState.tapZones[select.dataset.zone] || 'none';
+        }
+    }
+    function handleTouchGestures(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        touchState.enabled = event.target.checked;
+        document.body.classList.toggle('touch-gestures', touchState.enabled);
+        if (!touchState.enabled) {
+            resetPageZoom();
+        }
+        writeConfig({
+            touchGestures: touchState.enabled,
+        });
+    }
+    function handleTapZone(event) {
+        if (!(event.target instanceof HTMLSelectElement) || !event.target.dataset.zone) {
+            return;
+        }
+        touchState.tapZones = { ...touchState.tapZones, [event.target.dataset.zone]: event.target.value };
+        writeConfig({
+            tapZones: touchState.tapZones,
+        });
+    }
+    /**
+     * @returns Page image under the event target, if any.
+     */
+    function getTouchedImage(event) {
+        const page = event.target instanceof Element ? event.target.closest('.page') : null;
+        return page ? page.querySelector('.image') : null;
+    }
+    function getPinchDistance() {
+        const [a, b] = Array.from(touchState.pointers.values());
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+    function handleTouchStart(event) {
+        if (!touchState.enabled || event.pointerType !== 'touch' || !getTouchedImage(event)) {
+            return;
+        }
+        touchState.pointers.set(event.pointerId, {
+            startX: event.clientX,
+            startY: event.clientY,
+            x: event.clientX,
+            y: event.clientY,
+            startTime: Date.now(),
+        });
+        if (touchState.pointers.size === 2) {
+            touchState.gestureConsumed = true;
+            touchState.pinchStartDistance = getPinchDistance();
+            touchState.pinchStartScale = zoomState.image === getTouchedImage(event) ? zoomState.scale : 1;
+        }
+    }
+    function handleTouchMove(event) {
+        const pointer = touchState.pointers.get(event.pointerId);
+        if (!pointer) {
+            return;
+        }
+        const deltaX = event.clientX - pointer.x;
+        const deltaY = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+        if (touchState.pointers.size === 2) {
+            const image = getTouchedImage(event);
+            const [a, b] = Array.from(touchState.pointers.values());
+            if (image && touchState.pinchStartDistance) {
+                zoomPage(image, (touchState.pinchStartScale * getPinchDistance()) / touchState.pinchStartDistance, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            }
+        }
+        else if (zoomState.image) {
+            touchState.gestureConsumed = true;
+            panPageZoom(deltaX, deltaY);
+        }
+    }
+    function handleTouchEnd(event) {
+        const pointer = touchState.pointers.get(event.pointerId);
+        if (!pointer) {
+            return;
+        }
+        touchState.pointers.delete(event.pointerId);
+        if (touchState.gestureConsumed) {
+            touchState.gestureConsumed = touchState.pointers.size > 0;
+            return;
+        }
+        if (event.type === 'pointercancel') {
+            return;
+        }
+        const deltaX = event.clientX - pointer.startX;
+        const deltaY = event.clientY - pointer.startY;
+        const duration = Date.now() - pointer.startTime;
+        if (Math.abs(deltaX) > swipeThreshold && Math.abs(deltaX) > 2 * Math.abs(deltaY) && duration < 600) {
+            // Swiping left reveals the page to the right
+            return deltaX < 0 ? pageRight() : pageLeft();
+        }
+        if (Math.hypot(deltaX, deltaY) < 10 && duration < 300) {
+            const third = getWidth() / 3;
+            const zone = event.clientX < third ? 'left' : event.clientX < 2 * third ? 'center' : 'right';
+            const action = touchState.tapZones[zone];
+            if (action && action !== 'none') {
+                // Prevent the tap from also following the page's prev/next links
+                touchState.suppressClickUntil = Date.now() + 500;
+                runKeyAction(action);
+            }
+        }
+    }
+    function handleTouchClick(event) {
+        if (Date.now() < touchState.suppressClickUntil) {
+            touchState.suppressClickUntil = 0;
+            event.preventDefault();
+            event.stopPropagation();
+        }
+    }
+    /**
+     * Load the bookmarks saved for the current archive.
+     */
+    function setupBookmarks() {
+        const saved = readArchiveData(bookmarksStorageKey) || [];
+        setBookmarks(saved.map((bookmark) => ({ ...bookmark, page: toPageIndex(bookmark.page) })));
+    }
+    /**
+     * Replace the bookmarks of the current archive, discarding any with invalid page numbers.
+     */
+    function setBookmarks(newBookmarks) {
+        bookmarks = newBookmarks
+            .filter((bookmark) => Number.isInteger(bookmark.page) && images[bookmark.page])
+            .sort((a, b) => a.page - b.page);
+        // Saved page numbers refer to the archive, regardless of split pages
+        writeArchiveData(bookmarksStorageKey, bookmarks.length ? toArchiveBookmarks(bookmarks) : undefined);
+        renderBookmarks();
+        renderScrubberBookmarks();
+    }
+    function toArchiveBookmarks(pageBookmarks) {
+        return pageBookmarks.map((bookmark) => ({ ...bookmark, page: toArchiveIndex(bookmark.page) }));
+    }
+    function toggleBookmark(pageIndex) {
+        if (bookmarks.some((bookmark) => bookmark.page === pageIndex)) {
+            setBookmarks(bookmarks.filter((bookmark) => bookmark.page !== pageIndex));
+        }
+        else {
+            setBookmarks([...bookmarks, { page: pageIndex, note: '', timestamp: Date.now() }]);
+        }
+    }
+    function setBookmarkNote(pageIndex, note) {
+        setBookmarks(bookmarks.map((bookmark) => bookmark.page === pageIndex ? { ...bookmark, note } : bookmark));
+    }
+    function renderBookmarks() {
+        const rows = bookmarks.map(({ page, note }) => {
+            const row = document.createElement('div');
+            row.classList.add('bookmark-row');
+            const thumbnail = document.createElement('img');
+            thumbnail.classList.add('bookmark-thumbnail');
+            thumbnail.loading = 'lazy';
+            thumbnail.src = images[page].dataset.thumbnail || loadingPlaceholder;
+            thumbnail.addEventListener('click', () => {
+                closePanel(bookmarksPanel);
+                scrollToPage(page);
+            });
+            const pageSpan = document.createElement('span');
+            pageSpan.classList.add('bookmark-page');
+            pageSpan.innerText = `${page + 1}`;
+            const noteInput = document.createElement('input');
+            noteInput.classList.add('bookmark-note');
+            noteInput.placeholder = 'Add a note';
+            noteInput.value = note || '';
+            noteInput.addEventListener('change', () => setBookmarkNote(page, noteInput.value));
+            const removeBtn = document.createElement('button');
+            removeBtn.innerHTML = '&#x2715;';
+            removeBtn.title = 'Remove bookmark';
+            removeBtn.addEventListener('click', () => toggleBookmark(page));
+            row.append(thumbnail, pageSpan, noteInput, removeBtn);
+            return row;
+        });
+        if (!rows.length) {
+            const empty = document.createElement('div');
+            empty.classList.add('panel-hint');
+            empty.innerText = 'No bookmarks yet.';
+            rows.push(empty);
+        }
+        bookmarksList.replaceChildren(...rows);
+    }
+    /**
+     * Draw a tick on the scrubber for each bookmarked page.
+     */
+    function renderScrubberBookmarks() {
+        const ticks = bookmarks.map(({ page, note }) => {
+            const tick = document.createElement('div');
+            tick.classList.add('scrubber-bookmark');
+            tick.title = note || '';
+            tick.style.transform = scrubberTranslate(scrubberIndexToPosition(page));
+            return tick;
+        });
+        scrubberBookmarksDiv.replaceChildren(...ticks);
+    }
+    function handleBookmarksExport() {
+        downloadJson({ title: document.title, bookmarks: toArchiveBookmarks(bookmarks) }, `${document.title} bookmarks.json`);
+    }
+    /**
+     * Save a value to a JSON file through the browser's downloads.
+     */
+    function downloadJson(value, filename) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([JSON.stringify(value, null, 2)], { type: 'application/json' }));
+        link.download = filename;
+        link.click();
+        // Firefox may abort the download if the URL is revoked before it has started
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+    /**
+     * Merge bookmarks from an exported JSON file into the current ones. Imported notes replace
+     * existing notes on the same page.
+     */
+    async function handleBookmarksImport() {
+        const file = bookmarksImportInput.files && bookmarksImportInput.files[0];
+        bookmarksImportInput.value = '';
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = JSON.parse(await file.text());
+            if (!Array.isArray(imported.bookmarks)) {
+                throw new Error('No bookmarks found');
+            }
+            const importedPages = imported.bookmarks.map((bookmark) => toPageIndex(bookmark.page));
+            setBookmarks([
+                ...bookmarks.filter((bookmark) => !importedPages.includes(bookmark.page)),
+                ...imported.bookmarks.map(({ page, note, timestamp }) => ({
+                    page: toPageIndex(page),
+                    note: typeof note === 'string' ? note : '',
+                    timestamp: timestamp || Date.now(),
+                })),
+            ]);
+        }
+        catch (err) {
+            console.error('Failed to import bookmarks', err);
+            alert(`Could not import bookmarks from ${file.name}`);
+        }
+    }
+    /**
+     * Apply the user's last selected autoscroll speed and interval.
+     */
+    function setupAutoscroll(config) {
+        autoscrollState.speed = config.autoscrollSpeed || defaultAutoscrollSpeed;
+        autoscrollState.interval = config.autoscrollInterval || defaultAutoscrollInterval;
+        autoscrollSpeedInput.value = `${autoscrollState.speed}`;
+        autoscrollIntervalInput.value = `${autoscrollState.interval}`;
+    }
+    function startAutoscroll() {
+        const now = performance.now();
+        Object.assign(autoscrollState, { running: true, lastFrameTime: now, lastAdvanceTime: now, carry: 0 });
+        animationDispatcher.setWatcher('autoscroll', autoscrollFrame);
+        renderAutoscrollStatus();
+    }
+    function stopAutoscroll() {
+        autoscrollState.running = false;
+        animationDispatcher.setWatcher('autoscroll');
+        renderAutoscrollStatus();
+    }
+    /**
+     * Scroll or advance the page, run on every animation frame while autoscroll is active. Stops
+     * at the last page.
+     */
+    function autoscrollFrame() {
+        const now = performance.now();
+        const elapsed = (now - autoscrollState.lastFrameTime) / 1000;
+        autoscrollState.lastFrameTime = now;
+        if (autoscrollPaused()) {
+            autoscrollState.lastAdvanceTime = now;
+            return;
+        }
+        if (scrubberState.viewDirection === 'vertical') {
+            const scrollingElement = document.scrollingElement || document.documentElement;
+            if (scrollingElement.scrollTop + getHeight() >= scrollingElement.scrollHeight - 1) {
+                return stopAutoscroll();
+            }
+            autoscrollState.carry += autoscrollState.speed * elapsed;
+            const pixels = Math.trunc(autoscrollState.carry);
+            autoscrollState.carry -= pixels;
+            if (pixels) {
+                window.zenscroll.toY(window.zenscroll.getY() + pixels, 0);
+            }
+        }
+        else if (now - autoscrollState.lastAdvanceTime >= autoscrollState.interval * 1000) {
+            const spread = getSpread(scrubberState.visiblePageIndex);
+            if (spread[spread.length - 1] >= images.length - 1) {
+                return stopAutoscroll();
+            }
+            autoscrollState.lastAdvanceTime = now;
+            nextPage();
+        }
+    }
+    /**
+     * Increase (positive `step`) or decrease (negative `step`) the autoscroll rate of the current
+     * layout.
+     */
+    function adjustAutoscroll(step) {
+        if (scrubberState.viewDirection === 'vertical') {
+            setAutoscrollSpeed(Math.round(autoscrollState.speed * (step > 0 ? 1.25 : 0.8)));
+        }
+        else {
+            setAutoscrollInterval(autoscrollState.interval - step);
+        }
+    }
+    function setAutoscrollSpeed(speed) {
+        autoscrollState.speed = Math.max(10, Math.min(speed, 2000));
+        autoscrollSpeedInput.value = `${autoscrollState.speed}`;
+        writeConfig({ autoscrollSpeed: autoscrollState.speed });
+        renderAutoscrollStatus();
+    }
+    function setAutoscrollInterval(interval) {
+        autoscrollState.interval = Math.max(1, Math.min(interval, 120));
+        autoscrollIntervalInput.value = `${autoscrollState.interval}`;
+        writeConfig({ autoscrollInterval: autoscrollState.interval });
+        renderAutoscrollStatus();
+    }
+    function renderAutoscrollStatus() {
+        autoscrollToggleBtn.innerText = autoscrollState.running ? 'Stop' : 'Start';
+        autoscrollStatusDiv.classList.toggle('show', autoscrollState.running);
+        autoscrollStatusDiv.innerText =
+            scrubberState.viewDirection === 'vertical'
+                ? `Autoscroll ${autoscrollState.speed} px/s`
+                : `Autoscroll every ${autoscrollState.interval} s`;
+    }
+    function handleAutoscrollSpeed(event) {
+        if (event.target instanceof HTMLInputElement) {
+            setAutoscrollSpeed(parseInt(event.target.value, 10) || defaultAutoscrollSpeed);
+        }
+    }
+    function handleAutoscrollInterval(event) {
+        if (event.target instanceof HTMLInputElement) {
+            setAutoscrollInterval(parseInt(event.target.value, 10) || defaultAutoscrollInterval);
+        }
+    }
+    /**
+     * Pause autoscroll for a moment while the user is reading or navigating themselves. It resumes
+     * on its own afterwards.
+     */
+    function pauseAutoscroll() {
+        if (autoscrollState.running) {
+            autoscrollState.pausedUntil = Date.now() + autoscrollPause;
+        }
+    }
+    /**
+     * @returns True if autoscroll should wait, so as not to fight with smooth scrolling or the user.
+     */
+    function autoscrollPaused() {
+        return Date.now() < autoscrollState.pausedUntil || window.zenscroll.moving();
+    }
+    /**
+     * Load the user's smart fit profiles and add a menu button for each.
+     */
+    function setupSmartFitProfiles(config) {
+        smartFitProfiles = config.smartFitProfiles || {};
+        renderSmartFitProfiles();
+    }
+    function renderSmartFitProfiles() {
+        const buttons = Object.entries(smartFitProfiles).map(([key, profile]) => {
+            const button = document.createElement('button');
+            button.classList.add('btn-smart-fit', 'btn-grouped');
+            button.dataset.fitKey = key;
+            button.innerText = profile.name;
+            button.addEventListener('click', handleSmartWidth);
+            return button;
+        });
+        smartFitCustomGroup.replaceChildren(...buttons);
+        const editors = Object.entries(smartFitProfiles).map(([key, profile]) => {
+            const editor = document.createElement('div');
+            editor.classList.add('smart-fit-profile');
+            editor.dataset.fitKey = key;
+            const header = document.createElement('div');
+            header.classList.add('panel-row');
+            const nameInput = document.createElement('input');
+            nameInput.classList.add('smart-fit-name');
+            nameInput.value = profile.name;
+            nameInput.dataset.field = 'name';
+            const deleteBtn = document.createElement('button');
+            deleteBtn.innerText = 'Delete';
+            deleteBtn.addEventListener('click', () => deleteSmartFitProfile(key));
+            header.append(nameInput, deleteBtn);
+            editor.append(header, ...[
+                ['portrait.width', 'Portrait max width', profile.portrait.width],
+                ['portrait.height', 'Portrait max height', profile.portrait.height],
+                ['landscape.height', 'Landscape max height', profile.landscape.height],
+                ['portraitLong.width', 'Long strip max width', profile.portraitLong.width],
+                ['longRatio', 'Long strip height/width ratio', profile.longRatio],
+            ].map(([field, label, value]) => {
+                const row = document.createElement('label');
+                row.classList.add('panel-row');
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '1';
+                input.step = field === 'longRatio' ? '0.1' : '1';
+                input.value = value === undefined ? '' : `${value}`;
+                input.dataset.field = field;
+                row.append(label, input);
+                return row;
+            }));
+            return editor;
+        });
+        smartFitProfilesList.replaceChildren(...editors);
+    }
+    function saveSmartFitProfiles() {
+        writeConfig({ smartFitProfiles });
+        renderSmartFitProfiles();
+    }
+    /**
+     * Create a new profile, starting from the built in small profile.
+     */
+    function createSmartFitProfile() {
+        const key = `custom${Date.now().toString(36)}`;
+        smartFitProfiles = {
+            ...smartFitProfiles,
+            [key]: {
+                ...JSON.parse(JSON.stringify(smartFit.size0)),
+                name: `Custom ${Object.keys(smartFitProfiles).length + 1}`,
+                longRatio: defaultLongRatio,
+            },
+        };
+        saveSmartFitProfiles();
+    }
+    function deleteSmartFitProfile(key) {
+        smartFitProfiles = Object.fromEntries(Object.entries(smartFitProfiles).filter(([profileKey]) => profileKey !== key));
+        saveSmartFitProfiles();
+        if (readConfig().scaling === `smart_${key}`) {
+            handleOriginalSize();
+        }
+    }
+    /**
+     * Update a profile field when edited, and reapply the profile if it is in use. The editors are
+     * left in place so that the focused field keeps its focus.
+     */
+    function handleSmartFitProfileEdit(event) {
+        const input = event.target;
+        const editor = input instanceof HTMLInputElement ? input.closest('.smart-fit-profile') : null;
+        const key = editor ? editor.dataset.fitKey : undefined;
+        if (!key || !input.dataset.field || !smartFitProfiles[key]) {
+            return;
+        }
+        const profile = JSON.parse(JSON.stringify(smartFitProfiles[key]));
+        if (input.dataset.field === 'name') {
+            profile.name = input.value.trim() || profile.name;
+            input.value = profile.name;
+            const button = Array.from(smartFitCustomGroup.children).find((btn) => btn instanceof HTMLElement && btn.dataset.fitKey === key);
+            if (button) {
+                button.innerText = profile.name;
+            }
+        }
+        else {
+            const value = parseFloat(input.value);
+            const [group, dimension] = input.dataset.field.split('.');
+            if (input.dataset.field === 'portrait.width' && !input.value && !input.validity.badInput) {
+                // The portrait width limit is optional, so clearing it removes the limit
+                delete profile.portrait.width;
+            }
+            else if (!(value >= 1)) {
+                const saved = dimension ? profile[group][dimension] : profile[group];
+                input.value = saved === undefined ? '' : `${saved}`;
+                return;
+            }
+            else if (dimension) {
+                profile[group][dimension] = Math.round(value);
+            }
+            else {
+                profile[group] = value;
+            }
+        }
+        smartFitProfiles = { ...smartFitProfiles, [key]: profile };
+        writeConfig({ smartFitProfiles });
+        if (readConfig().scaling === `smart_${key}`) {
+            smartFitImages(profile);
+        }
+    }
+    /**
+     * Reapply the active scaling mode when the viewport size changes, since scaled sizes are
+     * computed from it, keeping the current page in view.
+     */
+    function handleResize() {
+        const pageIndex = scrubberState.visiblePageIndex;
+        resetPageZoom();
+        initScalingMode(readConfig());
+        scrollToPage(pageIndex, false);
+        if (scrubberState.screenLength) {
+            measureScrubber();
+        }
+    }
+    /**
+     * Read ComicInfo.xml, either embedded in base64 in the `body[data-comicinfo]` attribute or
+     * from a file next to `index.html`.
+     * @returns XML text, or undefined if not found.
+     */
+    async function loadComicInfoXml() {
+        const embedded = document.body.dataset.comicinfo;
+        if (embedded) {
+            try {
+                const bytes = Uint8Array.from(atob(embedded), (char) => char.charCodeAt(0));
+                return new TextDecoder().decode(bytes);
+            }
+            catch (err) {
+                console.error('Failed to decode embedded ComicInfo.xml', err);
+                return undefined;
+            }
+        }
+        // Give up on a stalled request rather than applying ComicInfo.xml long after reading began
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), comicInfoTimeout);
+        try {
+            const response = await fetch(comicInfoUrl, { signal: controller.signal });
+            return response.ok ? await response.text() : undefined;
+        }
+        catch (err) {
+            // Browsers may not allow fetching local files, in which case it must be embedded
+            return undefined;
+        }
+        finally {
+            clearTimeout(timeout);
+        }
+    }
+    /**
+     * @returns Metadata fields and page entries of a ComicInfo.xml document, or undefined if it
+     * is invalid.
+     */
+    function parseComicInfo(xml) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        const root = doc.documentElement;
+        if (root.nodeName !== 'ComicInfo' || doc.getElementsByTagName('parsererror').length) {
+            return undefined;
+        }
+        const fields = {};
+        for (const child of Array.from(root.children)) {
+            const value = (child.textContent || '').trim();
+            if (value && child.nodeName !== 'Pages') {
+                fields[child.nodeName] = value;
+            }
+        }
+        const pageEntries = Array.from(root.querySelectorAll('Pages > Page')).map((page) => ({
+            image: parseInt(page.getAttribute('Image') || '', 10),
+            type: page.getAttribute('Type') || 'Story',
+            doublePage: (page.getAttribute('DoublePage') || '').toLowerCase() === 'true',
+        }));
+        return { fields, pages: pageEntries.filter(({ image }) => archiveImages[image]) };
+    }
+    /**
+     * Load ComicInfo.xml if present, hiding deleted pages, marking double pages and applying its
+     * reading direction. The reader is set up without waiting for it, and the pages are laid out
+     * again once it has loaded.
+     */
+    async function setupComicInfo() {
+        const xml = await loadComicInfoXml();
+        comicInfo = xml ? parseComicInfo(xml) : undefined;
+        if (xml && !comicInfo) {
+            console.error('Failed to parse ComicInfo.xml');
+        }
+        comicInfoBtn.style.display = comicInfo ? '' : 'none';
+        if (!comicInfo) {
+            return;
+        }
+        for (const { image, type, doublePage } of comicInfo.pages) {
+            if (doublePage || type === 'DoublePage') {
+                doublePages.add(toPageIndex(image));
+            }
+        }
+        // Deleted pages are hidden when the pages are laid out
+        rebuildPages();
+        applySpreads();
+        renderComicInfo();
+        const direction = getArchiveDirection(readConfig());
+        const directionRadioBtn = directionRadioBtns.find((button) => button.value === direction);
+        if (directionRadioBtn && direction !== scrubberState.viewDirection) {
+            directionRadioBtn.checked = true;
+            setDirection(direction, false);
+        }
+    }
+    /**
+     * @returns Reading direction given by the ComicInfo.xml `Manga` field, if any.
+     */
+    function getComicInfoDirection() {
+        return (comicInfo === null || comicInfo === void 0 ? void 0 : comicInfo.fields.Manga) === 'YesAndRightToLeft'
+            ? 'horizontal-rtl'
+            : undefined;
+    }
+    function renderComicInfo() {
+        if (!comicInfo) {
+            return;
+        }
+        const { fields } = comicInfo;
+        const rows = comicInfoFields
+            .filter((field) => fields[field])
+            .flatMap((field) => {
+            const term = document.createElement('dt');
+            term.innerText = field.replace(/([a-z])([A-Z])/g, '$1 $2');
+            const description = document.createElement('dd');
+            description.innerText = field === 'Year' ? [fields.Year, fields.Month, fields.Day].filter(Boolean).join('-') : fields[field];
+            return [term, description];
+        });
+        comicInfoList.replaceChildren(...rows);
+    }
+    /**
+     * Group pages into chapters by directory if the images are in more than one, otherwise by the
+     * chapter number in the file name.
+     * @returns Chapters in page order, or an empty array if no chapters were found.
+     */
+    function detectChapters() {
+        const paths = pageSources.map(decodePageSource);
+        const directories = paths.map((path) => path.split(/[\\/]/).slice(0, -1).join('/'));
+        const chapterNumbers = paths.map((path) => {
+            const match = chapterPattern.exec(path.split(/[\\/]/).pop() || '');
+            return match ? `${parseFloat(match[1])}` : '';
+        });
+        const keys = new Set(directories).size > 1 ? directories : chapterNumbers;
+        if (new Set(keys).size < 2) {
+            return [];
+        }
+        const detected = [];
+        for (const [i, key] of keys.entries()) {
+            const previous = detected[detected.length - 1];
+            if (previous && keys[i - 1] === key) {
+                previous.end = i;
+            }
+            else {
+                // Pages at the root of the archive or without a number form an untitled chapter
+                const title = !key ? '' : keys === directories ? key.split('/').pop() || key : `Chapter ${key}`;
+                detected.push({ title: title || `Chapter ${detected.length + 1}`, start: i, end: i });
+            }
+        }
+        return detected;
+    }
+    /**
+     * @returns Path of a page image within the archive, as given by its URL.
+     */
+    function decodePageSource(src) {
+        try {
+            return decodeURIComponent(src);
+        }
+        catch (err) {
+            return src;
+        }
+    }
+    /**
+     * Read chapters from `config.ini`, given as a list of `{ title, page }` where `page` is the
+     * first page of the chapter, starting from 1.
+     * @returns Chapters in page order, or an empty array if none are configured.
+     */
+    function loadConfigChapters() {
+        if (!Array.isArray(configIni.chapters)) {
+            return [];
+        }
+        const starts = configIni.chapters
+            .map(({ title, page }) => ({ title: `${title || ''}`, start: toPageIndex(parseInt(page, 10) - 1) }))
+            .filter(({ start }) => images[start])
+            .sort((a, b) => a.start - b.start);
+        return starts.map(({ title, start }, i) => ({
+            title: title || `Chapter ${i + 1}`,
+            start,
+            end: i + 1 < starts.length ? starts[i + 1].start - 1 : images.length - 1,
+        }));
+    }
+    /**
+     * Find the archive's chapters, preferring those configured in `config.ini` over detected ones.
+     */
+    function setupChapters(config) {
+        var _a;
+        const configured = loadConfigChapters();
+        chapters = configured.length ? configured : detectChapters();
+        chaptersBtn.style.display = chapters.length ? '' : 'none';
+        chapterDividersCheckbox.checked = (_a = config.chapterDividers) !== null && _a !== void 0 ? _a : false;
+        renderChapterDividers();
+        renderChapters();
+    }
+    /**
+     * @returns Index of the chapter containing a page, or -1 if none.
+     */
+    function getChapterIndex(pageIndex) {
+        return chapters.findIndex(({ start, end }) => start <= pageIndex && pageIndex <= end);
+    }
+    /**
+     * Jump to the start of the next (positive `step`) or previous (negative `step`) chapter. Going
+     * back from partway through a chapter returns to its start first.
+     */
+    function goToChapter(step) {
+        const pageIndex = scrubberState.visiblePageIndex;
+        const current = getChapterIndex(pageIndex);
+        if (current < 0) {
+            return;
+        }
+        const target = step < 0 && pageIndex > chapters[current].start ? current : current + step;
+        if (chapters[target]) {
+            scrollToPage(chapters[target].start);
+        }
+    }
+    function renderChapters() {
+        const rows = chapters.map(({ title, start, end }) => {
+            const row = document.createElement('button');
+            row.classList.add('chapter-row');
+            row.dataset.start = `${start}`;
+            const titleSpan = document.createElement('span');
+            titleSpan.innerText = title;
+            const pagesSpan = document.createElement('span');
+            pagesSpan.classList.add('chapter-pages');
+            pagesSpan.innerText = start === end ? `${start + 1}` : `${start + 1}-${end + 1}`;
+            row.append(titleSpan, pagesSpan);
+            return row;
+        });
+        chaptersList.replaceChildren(...rows);
+    }
+    function openChapters() {
+        if (!chapters.length) {
+            return;
+        }
+        const current = getChapterIndex(scrubberState.visiblePageIndex);
+        for (const [i, row] of Array.from(chaptersList.children).entries()) {
+            row.classList.toggle('current', i === current);
+        }
+        openPanel(chaptersPanel);
+    }
+    function handleChaptersClick(event) {
+        const row = event.target instanceof Element ? event.target.closest('.chapter-row') : null;
+        if (row) {
+            closePanel(chaptersPanel);
+            scrollToPage(parseInt(row.dataset.start || '0', 10), false);
+        }
+    }
+    /**
+     * Insert a divider showing the chapter title before the first page of each chapter, if
+     * enabled, or remove the dividers. Chapters starting on the second page of a spread have no
+     * divider, as it would separate the pages of the spread.
+     */
+    function renderChapterDividers() {
+        for (const divider of Array.from(document.getElementsByClassName('chapter-divider'))) {
+            divider.remove();
+        }
+        if (!chapterDividersCheckbox.checked) {
+            return;
+        }
+        for (const { title, start } of chapters) {
+            if (getSpread(start)[0] !== start) {
+                continue;
+            }
+            const divider = document.createElement('div');
+            divider.classList.add('chapter-divider');
+            divider.innerText = title;
+            pages[start].before(divider);
+        }
+    }
+    function handleChapterDividers(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        writeConfig({
+            chapterDividers: event.target.checked,
+        });
+        renderChapterDividers();
+        scrollToPage(scrubberState.visiblePageIndex, false);
+    }
+    /**
+     * Draw a line on the scrubber at the start of each chapter.
+     */
+    function renderScrubberChapters() {
+        const marks = chapters.slice(1).map(({ title, start }) => {
+            const mark = document.createElement('div');
+            mark.classList.add('scrubber-chapter');
+            mark.title = title;
+            mark.style.transform = scrubberTranslate(scrubberIndexToBoundary(start));
+            return mark;
+        });
+        scrubberChaptersDiv.replaceChildren(...marks);
+    }
+    /**
+     * Create a cell for each page in the overview grid. Thumbnails start out as placeholders and
+     * are loaded as they are scrolled into view.
+     */
+    function setupOverview() {
+        return images.map((img, i) => {
+            const cell = document.createElement('button');
+            cell.classList.add('overview-cell');
+            cell.dataset.index = `${i}`;
+            const thumbnail = document.createElement('img');
+            thumbnail.src = loadingPlaceholder;
+            thumbnail.dataset.src = img.dataset.thumbnail || '';
+            const frame = clipThumbnail(thumbnail, img);
+            frame.classList.add('overview-thumbnail');
+            frame.style.aspectRatio = `${getImageWidthAttribute(img)} / ${getImageHeightAttribute(img)}`;
+            thumbnail.addEventListener('error', async () => {
+                thumbnail.src = loadingPlaceholder;
+                await asyncTimeout(2000);
+                thumbnail.src = thumbnail.dataset.src || loadingPlaceholder;
+            });
+            const pageNumber = document.createElement('span');
+            pageNumber.classList.add('overview-page-number');
+            pageNumber.innerText = `${i + 1}`;
+            cell.append(frame, pageNumber);
+            return cell;
+        });
+    }
+    function openOverview() {
+        if (!overviewCells) {
+            overviewCells = setupOverview();
+            overviewGrid.append(...overviewCells);
+        }
+        for (const cell of overviewCells) {
+            const index = parseInt(cell.dataset.index || '', 10);
+            cell.classList.toggle('current', getSpread(scrubberState.visiblePageIndex).includes(index));
+            cell.hidden = hiddenPages.has(index);
+        }
+        openPanel(overviewPanel);
+        const currentCell = overviewCells[scrubberState.visiblePageIndex];
+        if (currentCell) {
+            currentCell.scrollIntoView({ block: 'center' });
+            currentCell.focus();
+        }
+        updateOverviewThumbnails();
+    }
+    /**
+     * Load the thumbnails around the cell in the middle of the overview, unloading the rest.
+     */
+    function updateOverviewThumbnails() {
+        if (!overviewCells) {
+            return;
+        }
+        const gridRect = overviewGrid.getBoundingClientRect();
+        const centerElement = document.elementFromPoint(gridRect.left + gridRect.width / 2, gridRect.top + gridRect.height / 2);
+        const centerCell = centerElement ? centerElement.closest('.overview-cell') : null;
+        const centerIndex = centerCell ? parseInt(centerCell.dataset.index || '0', 10) : scrubberState.visiblePageIndex;
+        updateLoadedImages(overviewCells.map((cell) => cell.getElementsByTagName('img')[0]), centerIndex, maxLoadedPreviews, 'overview');
+    }
+    /**
+     * Open the edit pages panel with the current page order. Changes are only applied once saved.
+     */
+    function openEditPages() {
+        renderEditPages(pageOrderState.order, pageOrderState.hidden);
+        openPanel(editPagesPanel);
+        const firstCell = editPagesGrid.firstElementChild;
+        if (firstCell instanceof HTMLElement) {
+            firstCell.focus();
+        }
+    }
+    /**
+     * @param order Archive indices of the pages in the order to show them.
+     * @param hidden Archive indices of the pages to show as hidden.
+     */
+    function renderEditPages(order, hidden) {
+        const deleted = getDeletedArchivePages();
+        editPagesGrid.replaceChildren(...order.map((archiveIndex) => {
+            const img = archiveImages[archiveIndex];
+            const cell = document.createElement('div');
+            cell.classList.add('edit-pages-cell');
+            cell.dataset.archiveIndex = `${archiveIndex}`;
+            cell.draggable = true;
+            cell.tabIndex = 0;
+            const thumbnail = document.createElement('img');
+            thumbnail.classList.add('edit-pages-thumbnail');
+            thumbnail.loading = 'lazy';
+            thumbnail.draggable = false;
+            thumbnail.alt = '';
+            thumbnail.src = img.dataset.thumbnail || loadingPlaceholder;
+            thumbnail.style.aspectRatio = `${img.getAttribute('width')} / ${img.getAttribute('height')}`;
+            const name = document.createElement('span');
+            name.classList.add('edit-pages-name');
+            name.innerText = getArchivePagePath(archiveIndex).split(/[\\/]/).pop() || '';
+            const hideBtn = document.createElement('button');
+            hideBtn.classList.add('edit-pages-hide');
+            cell.append(thumbnail, name, hideBtn);
+            setEditPageHidden(cell, hidden.has(archiveIndex) || deleted.includes(archiveIndex));
+            // Pages deleted in ComicInfo.xml are always hidden
+            hideBtn.disabled = deleted.includes(archiveIndex);
+            return cell;
+        }));
+    }
+    /**
+     * @returns Path within the archive of an archive image, used to sort pages by filename.
+     */
+    function getArchivePagePath(archiveIndex) {
+        return decodePageSource(pageSources[images.indexOf(archiveImages[archiveIndex])] || '');
+    }
+    function setEditPageHidden(cell, hidden) {
+        const hideBtn = cell.getElementsByClassName('edit-pages-hide')[0];
+        const name = cell.getElementsByClassName('edit-pages-name')[0];
+        cell.classList.toggle('hidden-page', hidden);
+        hideBtn.innerText = hidden ? 'Show' : 'Hide';
+        hideBtn.setAttribute('aria-label', `${hidden ? 'Show' : 'Hide'} ${name.innerText}`);
+    }
+    function handleEditPagesClick(event) {
+        const hideBtn = event.target instanceof Element ? event.target.closest('.edit-pages-hide') : null;
+        const cell = hideBtn === null || hideBtn === void 0 ? void 0 : hideBtn.closest('.edit-pages-cell');
+        if (!(cell instanceof HTMLElement)) {
+            return;
+        }
+        const hidden = !cell.classList.contains('hidden-page');
+        // At least one page must remain shown
+        if (hidden && editPagesGrid.querySelectorAll('.edit-pages-cell:not(.hidden-page)').length <= 1) {
+            return;
+        }
+        setEditPageHidden(cell, hidden);
+    }
+    function handleEditPagesDragStart(event) {
+        const cell = event.target instanceof Element ? event.target.closest('.edit-pages-cell') : null;
+        if (!(cell instanceof HTMLElement) || !event.dataTransfer) {
+            return;
+        }
+        pageOrderState.dragged = cell;
+        cell.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        // Firefox only starts dragging if some data is set
+        event.dataTransfer.setData('text/plain', cell.dataset.archiveIndex || '');
+    }
+    /**
+     * Move the dragged page before or after the page under the cursor, whichever half of it the
+     * cursor is over. Pages run right to left in the `horizontal-rtl` layout.
+     */
+    function handleEditPagesDragOver(event) {
+        const dragged = pageOrderState.dragged;
+        if (!dragged) {
+            return;
+        }
+        event.preventDefault();
+        const cell = event.target instanceof Element ? event.target.closest('.edit-pages-cell') : null;
+        if (!cell || cell === dragged) {
+            return;
+        }
+        const rect = cell.getBoundingClientRect();
+        const rtl = scrubberState.viewDirection === 'horizontal-rtl';
+        if (event.clientX > rect.left + rect.width / 2 !== rtl) {
+            cell.after(dragged);
+        }
+        else {
+            cell.before(dragged);
+        }
+    }
+    function handleEditPagesDragEnd() {
+        var _a;
+        (_a = pageOrderState.dragged) === null || _a === void 0 ? void 0 : _a.classList.remove('dragging');
+        pageOrderState.dragged = undefined;
+    }
+    /**
+     * Move the focused page with Alt and the arrow keys, as an alternative to dragging it.
+     */
+    function handleEditPagesKeyDown(event) {
+        const cell = event.target;
+        if (!event.altKey || !(cell instanceof HTMLElement) || !cell.classList.contains('edit-pages-cell')) {
+            return;
+        }
+        const rtl = scrubberState.viewDirection === 'horizontal-rtl';
+        const steps = {
+            ArrowLeft: rtl ? 1 : -1,
+            ArrowRight: rtl ? -1 : 1,
+            ArrowUp: -1,
+            ArrowDown: 1,
+        };
+        const step = steps[event.key];
+        if (!step) {
+            return;
+        }
+        event.preventDefault();
+        const sibling = step < 0 ? cell.previousElementSibling : cell.nextElementSibling;
+        if (!sibling) {
+            return;
+        }
+        if (step < 0) {
+            sibling.before(cell);
+        }
+        else {
+            sibling.after(cell);
+        }
+        cell.focus();
+    }
+    /**
+     * Sort the pages in the edit pages panel by their path within the archive in natural order, so
+     * that e.g. `p2` comes before `p10`.
+     */
+    function handleEditPagesSort() {
+        const cells = Array.from(editPagesGrid.children);
+        const paths = new Map(cells.map((cell) => [cell, getArchivePagePath(parseInt(cell.dataset.archiveIndex || '0', 10))]));
+        editPagesGrid.append(...cells.sort((a, b) => naturalCompare(paths.get(a) || '', paths.get(b) || '')));
+    }
+    function handleEditPagesSave() {
+        const cells = Array.from(editPagesGrid.children);
+        const toArchiveIndices = (selected) => selected.map((cell) => parseInt(cell.dataset.archiveIndex || '0', 10));
+        const hiddenCells = cells.filter((cell) => cell.classList.contains('hidden-page') && !cell.querySelector('.edit-pages-hide:disabled'));
+        applyPageOrder(toArchiveIndices(cells), toArchiveIndices(hiddenCells));
+        closePanel(editPagesPanel);
+    }
+    function handleOverviewClick(event) {
+        const cell = event.target instanceof Element ? event.target.closest('.overview-cell') : null;
+        if (!cell) {
+            return;
+        }
+        closePanel(overviewPanel);
+        scrollToPage(parseInt(cell.dataset.index || '0', 10), false);
+    }
+    /**
+     * Move focus between overview cells with the arrow keys. Enter opens the focused page.
+     */
+    function handleOverviewKeyDown(event) {
+        const cell = event.target instanceof Element ? event.target.closest('.overview-cell') : null;
+        if (!cell || !overviewCells) {
+            return;
+        }
+        const index = parseInt(cell.dataset.index || '0', 10);
+        const columns = overviewCells.filter((other) => other.offsetTop === overviewCells[0].offsetTop).length || 1;
+        const rtl = scrubberState.viewDirection === 'horizontal-rtl';
+        let target;
+        switch (event.key) {
+            case 'ArrowRight':
+                target = rtl ? index - 1 : index + 1;
+                break;
+            case 'ArrowLeft':
+                target = rtl ? index + 1 : index - 1;
+                break;
+            case 'ArrowDown':
+                target = index + columns;
+                break;
+            case 'ArrowUp':
+                target = index - columns;
+                break;
+            case 'Home':
+                target = 0;
+                break;
+            case 'End':
+                target = overviewCells.length - 1;
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+        const targetCell = overviewCells[Math.max(0, Math.min(target, overviewCells.length - 1))];
+        targetCell.focus();
+        targetCell.scrollIntoView({ block: 'nearest' });
+    }
+    function setupListeners() {
+        originalWidthBtn.addEventListener('click', handleOriginalSize);
+        shrinkSizeBtn.addEventListener('click', handleShrinkSize);
+        shrinkWidthBtn.addEventListener('click', handleShrinkWidth);
+        shrinkHeightBtn.addEventListener('click', handleShrinkHeight);
+        fitWidthBtn.addEventListener('click', handleFitWidth);
+        fitHeightBtn.addEventListener('click', handleFitHeight);
+        fitSizeBtn.addEventListener('click', handleFitSize);
+        for (const button of smartFitBtns) {
+            button.addEventListener('click', handleSmartWidth);
+        }
+        for (const button of directionRadioBtns) {
+            button.addEventListener('input', handleViewDirection);
+        }
+        smoothScrollCheckbox.addEventListener('change', handleSmoothScroll);
+        darkModeCheckbox.addEventListener('change', handleDarkMode);
+        seamlessCheckbox.addEventListener('change', handleSeamless);
+        spreadsCheckbox.addEventListener('change', handleSpreads);
+        spreadCoverCheckbox.addEventListener('change', handleSpreadCover);
+        splitPagesCheckbox.addEventListener('change', handleSplitPages);
+        pagedModeCheckbox.addEventListener('change', handlePagedMode);
+        for (const button of pageTransitionBtns) {
+            button.addEventListener('click', handlePageTransition);
+        }
+        window.addEventListener('hashchange', handlePagedHashChange);
+        window.addEventListener('message', handleHostMessage);
+        document.addEventListener('wheel', handleHorizontalScroll, { passive: false });
+        document.addEventListener('keydown', handleKeyDown);
+        for (const img of images) {
+            img.addEventListener('error', handlePageImageError);
+            img.addEventListener('load', () => pageLoaderState.retries.delete(img));
+            img.addEventListener('load', handleCropImageLoad);
+        }
+        window.addEventListener('resize', debounce(handleResize, 200));
+        updateCheckCheckbox.addEventListener('change', handleUpdateCheck);
+        settingsBtn.addEventListener('click', openSettings);
+        settingsExportBtn.addEventListener('click', handleSettingsExport);
+        settingsImportBtn.addEventListener('click', () => settingsImportInput.click());
+        settingsImportInput.addEventListener('change', handleSettingsImport);
+        settingsResetBtn.addEventListener('click', handleSettingsReset);
+        checkUpdateBtn.addEventListener('click', handleCheckUpdate);
+        keyBindingsBtn.addEventListener('click', () => openPanel(keyBindingsPanel));
+        keyBindingsList.addEventListener('click', handleKeyBindingsClick);
+        keyBindingsResetBtn.addEventListener('click', handleKeyBindingsReset);
+        touchControlsBtn.addEventListener('click', () => openPanel(touchControlsPanel));
+        touchGesturesCheckbox.addEventListener('change', handleTouchGestures);
+        for (const select of tapZoneSelects) {
+            select.addEventListener('change', handleTapZone);
+        }
+        pagesContainerDiv.addEventListener('pointerdown', handleTouchStart);
+        pagesContainerDiv.addEventListener('pointermove', handleTouchMove);
+        pagesContainerDiv.addEventListener('pointerup', handleTouchEnd);
+        pagesContainerDiv.addEventListener('pointercancel', handleTouchEnd);
+        document.addEventListener('click', handleTouchClick, { capture: true });
+        document.addEventListener('wheel', handleZoomWheel, { passive: false });
+        pagesContainerDiv.addEventListener('dblclick', handleZoomDoubleClick);
+        pagesContainerDiv.addEventListener('pointerdown', handleZoomDragStart);
+        pagesContainerDiv.addEventListener('pointermove', handleZoomDragMove);
+        pagesContainerDiv.addEventListener('pointerup', handleZoomDragEnd);
+        magnifierCheckbox.addEventListener('change', handleMagnifier);
+        autoCropCheckbox.addEventListener('change', handleAutoCrop);
+        imageFiltersCheckbox.addEventListener('change', handleImageFiltersToggle);
+        imageFiltersBtn.addEventListener('click', () => openPanel(imageFiltersPanel));
+        imageFiltersResetBtn.addEventListener('click', resetImageFilters);
+        for (const input of imageFilterInputs) {
+            input.addEventListener('input', handleImageFilterInput);
+            input.addEventListener('change', handleImageFilterChange);
+        }
+        document.addEventListener('mousemove', handleMagnifierMove);
+        bookmarksBtn.addEventListener('click', () => openPanel(bookmarksPanel));
+        bookmarkPageBtn.addEventListener('click', () => toggleBookmark(scrubberState.visiblePageIndex));
+        bookmarksExportBtn.addEventListener('click', handleBookmarksExport);
+        bookmarksImportBtn.addEventListener('click', () => bookmarksImportInput.click());
+        bookmarksImportInput.addEventListener('change', handleBookmarksImport);
+        comicInfoBtn.addEventListener('click', () => openPanel(comicInfoPanel));
+        chaptersBtn.addEventListener('click', openChapters);
+        chaptersList.addEventListener('click', handleChaptersClick);
+        chapterDividersCheckbox.addEventListener('change', handleChapterDividers);
+        overviewBtn.addEventListener('click', openOverview);
+        overviewGrid.addEventListener('click', handleOverviewClick);
+        overviewGrid.addEventListener('keydown', handleOverviewKeyDown);
+        overviewGrid.addEventListener('scroll', throttle(updateOverviewThumbnails, 200));
+        editPagesBtn.addEventListener('click', openEditPages);
+        editPagesGrid.addEventListener('click', handleEditPagesClick);
+        editPagesGrid.addEventListener('keydown', handleEditPagesKeyDown);
+        editPagesGrid.addEventListener('dragstart', handleEditPagesDragStart);
+        editPagesGrid.addEventListener('dragover', handleEditPagesDragOver);
+        editPagesGrid.addEventListener('dragend', handleEditPagesDragEnd);
+        // Keeps the browser from opening the dragged data
+        editPagesGrid.addEventListener('drop', (event) => event.preventDefault());
+        editPagesSortBtn.addEventListener('click', handleEditPagesSort);
+        editPagesResetBtn.addEventListener('click', () => renderEditPages(archivePages.map((page, i) => i), new Set()));
+        editPagesSaveBtn.addEventListener('click', handleEditPagesSave);
+        autoscrollBtn.addEventListener('click', () => openPanel(autoscrollPanel));
+        autoscrollToggleBtn.addEventListener('click', () => {
+            closePanel(autoscrollPanel);
+            runKeyAction('autoscroll');
+        });
+        autoscrollSpeedInput.addEventListener('change', handleAutoscrollSpeed);
+        autoscrollIntervalInput.addEventListener('change', handleAutoscrollInterval);
+        document.addEventListener('mousemove', pauseAutoscroll);
+        smartFitEditBtn.addEventListener('click', () => openPanel(smartFitPanel));
+        smartFitNewBtn.addEventListener('click', createSmartFitProfile);
+        smartFitProfilesList.addEventListener('change', handleSmartFitProfileEdit);
+        for (const button of panelCloseBtns) {
+            button.addEventListener('click', closeAllPanels);
+        }
+    }
+    function setupScrubberPreview() {
+        const previewImages = images.map((img, i) => {
+            const previewImage = document.createElement('img');
+            previewImage.loading = 'lazy';
+            previewImage.dataset.index = `${i}`;
+            if (configIni.dynamicImageLoading) {
+                previewImage.src = loadingPlaceholder;
+            }
+            else {
+                previewImage.src = img.dataset.thumbnail || loadingPlaceholder;
+            }
+            previewImage.dataset.src = `${img.dataset.thumbnail}`;
+            previewImage.addEventListener('error', async (event) => {
+                previewImage.src = loadingPlaceholder;
+                await asyncTimeout(2000);
+                previewImage.src = previewImage.dataset.src || loadingPlaceholder;
+            });
+            const frame = clipThumbnail(previewImage, img);
+            frame.classList.add('scrubber-preview-image');
+            frame.hidden = hiddenPages.has(i);
+            frame.style.width = `${heightToRatioWidth(img, 180)}px`;
+            return previewImage;
+        });
+        scrubberPreviewDiv.append(...previewImages.map(getImageFrame));
+        return previewImages;
+    }
+    /**
+     * @returns True if the scrubber is displayed as a bar along the bottom of the screen, which is
+     * the case in the horizontal layouts.
+     */
+    function isScrubberHorizontal() {
+        return scrubberState.viewDirection !== 'vertical';
+    }
+    /**
+     * @returns Position of the cursor along the scrubber's axis.
+     */
+    function getScrubberCursor(event) {
+        return isScrubberHorizontal() ? event.clientX : event.clientY;
+    }
+    function scrubberTranslate(position) {
+        return isScrubberHorizontal() ? `translateX(${position}px)` : `translateY(${position}px)`;
+    }
+    /**
+     * @returns Index of the page at a position along the scrubber. Pages run right to left in the
+     * `horizontal-rtl` layout. Hidden pages have no section on the scrubber.
+     */
+    function scrubberPositionToIndex(position) {
+        const shownPages = getShownPages();
+        const ratio = position / scrubberState.screenLength;
+        const slot = Math.floor((scrubberState.viewDirection === 'horizontal-rtl' ? 1 - ratio : ratio) * shownPages.length);
+        return shownPages[Math.max(0, Math.min(slot, shownPages.length - 1))] || 0;
+    }
+    /**
+     * @returns Position along the scrubber of the center of a page's section.
+     */
+    function scrubberIndexToPosition(index) {
+        const shownPages = getShownPages();
+        const ratio = (getShownPosition(shownPages, index) + 0.5) / shownPages.length;
+        return (scrubberState.viewDirection === 'horizontal-rtl' ? 1 - ratio : ratio) * scrubberState.screenLength;
+    }
+    /**
+     * @returns Position along the scrubber of the boundary before a page's section.
+     */
+    function scrubberIndexToBoundary(index) {
+        const shownPages = getShownPages();
+        const ratio = getShownPosition(shownPages, index) / shownPages.length;
+        return (scrubberState.viewDirection === 'horizontal-rtl' ? 1 - ratio : ratio) * scrubberState.screenLength;
+    }
+    function computeMarkerPosition(cursor) {
+        return Math.max(0, Math.min(cursor - scrubberState.markerLength / 2, scrubberState.screenLength - scrubberState.markerLength));
+    }
+    function setScrubberMarkerActive(activeIndex) {
+        const spread = getSpread(activeIndex);
+        const activePosition = scrubberIndexToPosition(activeIndex) - scrubberState.markerLength / 2;
+        scrubberMarkerActive.style.transform = scrubberTranslate(activePosition);
+        scrubberMarkerActive.innerText =
+            spread.length > 1 ? `${spread[0] + 1}-${spread[spread.length - 1] + 1}` : `${activeIndex + 1}`;
+    }
+    /**
+     * Measure the screen, preview strip and marker along the scrubber's axis, and lay out the
+     * scrubber to match.
+     */
+    function measureScrubber() {
+        const horizontal = isScrubberHorizontal();
+        // We can't style this as 100vh/100vw because it doesn't account for the scrollbars
+        scrubberState.screenLength = horizontal
+            ? document.documentElement.clientWidth
+            : document.documentElement.clientHeight;
+        scrubberState.previewLength = horizontal
+            ? scrubberPreviewDiv.offsetWidth
+            : scrubberPreviewDiv.offsetHeight;
+        scrubberState.markerLength = horizontal ? scrubberMarker.offsetWidth : scrubberMarker.offsetHeight;
+        Object.assign(scrubberDiv.style, {
+            width: horizontal ? `${scrubberState.screenLength}px` : '',
+            height: horizontal ? '' : `${scrubberState.screenLength}px`,
+        });
+        setScrubberMarkerActive(scrubberState.visiblePageIndex);
+        renderScrubberBookmarks();
+        renderScrubberChapters();
+    }
+    function setupScrubber(configIni) {
+        if (configIni.disableNavBar) {
+            scrubberIconDiv.style.display = 'none';
+            scrubberContainerDiv.style.display = 'none';
+            return;
+        }
+        let prevImage;
+        const setPreviewScroll = (cursor) => {
+            const cursorRatio = cursor / scrubberState.screenLength;
+            scrubberPreviewDiv.style.transform = scrubberTranslate(-cursorRatio * scrubberState.previewLength + cursor);
+        };
+        const setMarkerPosition = (cursor) => {
+            scrubberMarker.style.transform = scrubberTranslate(computeMarkerPosition(cursor));
         };
         const setMarkerText = (text) => {
             scrubberMarker.innerText = text;
         };
         const debouncedUpdateLoadedImages = debounce(updateLoadedImages, 0);
         let scrubberActivated = false;
-        scrubberDiv.addEventListener('mouseenter', () => {
+        const activateScrubber = () => {
             if (!scrubberActivated) {
                 scrubberImages = setupScrubberPreview();
                 scrubberActivated = true;
             }
-            scrubberState.screenHeight = document.documentElement.clientHeight;
-            // We can't style this as 100vh because it doesn't account for horizontal scrollbar
-            scrubberState.previewHeight = scrubberPreviewDiv.offsetHeight;
-            scrubberState.markerHeight = scrubberMarker.offsetHeight;
-            setScrubberMarkerActive(scrubberState.visiblePageIndex);
-            scrubberDiv.style.height = `${scrubberState.screenHeight}px`;
+            measureScrubber();
             scrubberContainerDiv.style.opacity = '1';
-        });
-        scrubberDiv.addEventListener('mouseleave', () => {
+        };
+        const deactivateScrubber = () => {
             scrubberContainerDiv.style.opacity = '0';
             if (configIni.dynamicImageLoading) {
                 updateLoadedImages(scrubberImages, null, maxLoadedPreviews, 'scrubber');
             }
-        });
-        scrubberDiv.addEventListener('mousemove', (event) => {
-            var _a;
-            const cursorY = event.clientY;
-            const cursorYRatio = cursorY / scrubberState.screenHeight;
-            scrubberState.previewPageIndex = Math.floor(cursorYRatio * images.length);
+        };
+        /**
+         * Show the preview for the page under the cursor.
+         * @param drag If true, also scroll to the page.
+         */
+        const previewScrubber = (cursor, drag) => {
+            scrubberState.previewPageIndex = scrubberPositionToIndex(cursor);
             if (configIni.dynamicImageLoading) {
                 debouncedUpdateLoadedImages(scrubberImages, scrubberState.previewPageIndex, maxLoadedPreviews, 'scrubber');
             }
@@ -816,53 +4402,647 @@ const INTERSECT_MARGIN = {
             if (!image) {
                 return;
             }
-            if (event.buttons & 1) {
-                // Allow left click drag scrubbing
-                if (scrubberState.previewPageIndex !== scrubberState.visiblePageIndex) {
-                    (_a = images[scrubberState.previewPageIndex]) === null || _a === void 0 ? void 0 : _a.scrollIntoView({ inline: 'center' });
+            if (drag) {
+                if (!getSpread(scrubberState.previewPageIndex).includes(scrubberState.visiblePageIndex)) {
+                    scrollToPage(scrubberState.previewPageIndex, false);
                 }
             }
             animationDispatcher.addTask('mousemove', () => {
-                setMarkerPosition(cursorY);
+                setMarkerPosition(cursor);
                 setMarkerText(`${scrubberState.previewPageIndex + 1}`);
-                setPreviewScroll(cursorY);
+                setPreviewScroll(cursor);
                 if (prevImage !== image) {
-                    image.classList.add('hovered');
+                    getImageFrame(image).classList.add('hovered');
                     if (prevImage) {
-                        prevImage.classList.remove('hovered');
+                        getImageFrame(prevImage).classList.remove('hovered');
                     }
                     prevImage = image;
                 }
             });
+        };
+        const jumpScrubber = (cursor) => {
+            scrollToPage(scrubberPositionToIndex(cursor), false);
+        };
+        scrubberDiv.addEventListener('mouseenter', activateScrubber);
+        scrubberDiv.addEventListener('mouseleave', deactivateScrubber);
+        scrubberDiv.addEventListener('mousemove', (event) => {
+            // Allow left click drag scrubbing
+            previewScrubber(getScrubberCursor(event), Boolean(event.buttons & 1));
         });
         scrubberDiv.addEventListener('click', (event) => {
-            var _a;
-            const cursorYRatio = event.clientY / scrubberState.screenHeight;
-            const imageIndex = Math.floor(cursorYRatio * images.length);
-            (_a = images[imageIndex]) === null || _a === void 0 ? void 0 : _a.scrollIntoView({ inline: 'center' });
+            jumpScrubber(getScrubberCursor(event));
+        });
+        // Touch scrubbing: touching the scrubber shows it, dragging scrubs, and lifting jumps to the
+        // page under the finger.
+        scrubberDiv.addEventListener('pointerdown', (event) => {
+            if (event.pointerType !== 'touch') {
+                return;
+            }
+            // Suppresses the emulated mouse events
+            event.preventDefault();
+            scrubberDiv.setPointerCapture(event.pointerId);
+            activateScrubber();
+            previewScrubber(getScrubberCursor(event), false);
+        });
+        scrubberDiv.addEventListener('pointermove', (event) => {
+            if (event.pointerType === 'touch' && scrubberDiv.hasPointerCapture(event.pointerId)) {
+                previewScrubber(getScrubberCursor(event), true);
+            }
+        });
+        scrubberDiv.addEventListener('pointerup', (event) => {
+            if (event.pointerType === 'touch') {
+                jumpScrubber(getScrubberCursor(event));
+                deactivateScrubber();
+            }
+        });
+        scrubberDiv.addEventListener('pointercancel', (event) => {
+            if (event.pointerType === 'touch') {
+                deactivateScrubber();
+            }
+        });
+        // Keyboard operation: the focused scrubber moves between pages, previewing each one
+        scrubberDiv.addEventListener('focus', () => {
+            activateScrubber();
+            previewScrubber(scrubberIndexToPosition(scrubberState.visiblePageIndex), false);
+        });
+        scrubberDiv.addEventListener('blur', deactivateScrubber);
+        scrubberDiv.addEventListener('keydown', (event) => {
+            const target = getScrubberKeyTarget(event.key, scrubberState.visiblePageIndex);
+            if (target === undefined) {
+                return;
+            }
+            // Keeps the reader's own key bindings from also handling the key
+            event.preventDefault();
+            event.stopPropagation();
+            scrollToPage(target, false);
+            previewScrubber(scrubberIndexToPosition(target), false);
+            announcePage(target);
+        });
+    }
+    /**
+     * Label the pages and scrubber for screen readers, and follow changes to the system reduced
+     * motion preference.
+     */
+    function setupAccessibility() {
+        updatePageLinks();
+        scrubberDiv.setAttribute('aria-valuemin', '1');
+        scrubberDiv.setAttribute('aria-valuemax', `${images.length}`);
+        updateScrubberSlider(scrubberState.visiblePageIndex);
+        reducedMotionQuery.addEventListener('change', updateZenscrollPause);
+    }
+    /**
+     * @returns Description of the visible page or spread, e.g. `Pages 3-4 of 20`.
+     */
+    function describePage(pageIndex) {
+        const spread = getSpread(pageIndex);
+        const pageNumbers = spread.length > 1 ? `Pages ${spread[0] + 1}-${spread[spread.length - 1] + 1}` : `Page ${pageIndex + 1}`;
+        const chapter = chapters[getChapterIndex(pageIndex)];
+        return `${pageNumbers} of ${images.length}${chapter ? `, ${chapter.title}` : ''}`;
+    }
+    function updateScrubberSlider(pageIndex) {
+        scrubberDiv.setAttribute('aria-valuenow', `${pageIndex + 1}`);
+        scrubberDiv.setAttribute('aria-valuetext', describePage(pageIndex));
+        scrubberDiv.setAttribute('aria-orientation', isScrubberHorizontal() ? 'horizontal' : 'vertical');
+    }
+    /**
+     * Announce the visible page to screen readers through a live region.
+     */
+    function announcePage(pageIndex) {
+        pageAnnouncer.innerText = describePage(pageIndex);
+        updateScrubberSlider(pageIndex);
+    }
+    /**
+     * @returns Page to move to when a key is pressed on the focused scrubber, or undefined if the
+     * key does not operate it. Arrow keys follow the scrubber's on-screen direction, which is
+     * reversed in the right-to-left layout.
+     */
+    function getScrubberKeyTarget(key, pageIndex) {
+        const rtl = scrubberState.viewDirection === 'horizontal-rtl';
+        const steps = {
+            ArrowDown: 1,
+            ArrowUp: -1,
+            ArrowRight: rtl ? -1 : 1,
+            ArrowLeft: rtl ? 1 : -1,
+            PageDown: 10,
+            PageUp: -10,
+        };
+        switch (key) {
+            case 'Home':
+                return findShownPage(0, 1);
+            case 'End':
+                return findShownPage(images.length - 1, -1);
+            default:
+                if (!steps[key]) {
+                    return undefined;
+                }
+                const spread = getSpread(pageIndex);
+                const from = steps[key] > 0 ? spread[spread.length - 1] : spread[0];
+                const target = Math.max(0, Math.min(from + steps[key], images.length - 1));
+                return findShownPage(target, Math.sign(steps[key]));
+        }
+    }
+    /**
+     * Hide the update check settings if disabled by `disableUpdateCheck = yes` in `config.ini`,
+     * otherwise apply the user's last preference.
+     */
+    function setupUpdateCheck(config) {
+        var _a;
+        if (configIni.disableUpdateCheck) {
+            updateCheckCheckbox.parentElement.style.display = 'none';
+            checkUpdateBtn.style.display = 'none';
+            return;
+        }
+        updateCheckCheckbox.checked = (_a = config.updateCheck) !== null && _a !== void 0 ? _a : true;
+    }
+    function handleUpdateCheck(event) {
+        if (!(event.target instanceof HTMLInputElement)) {
+            return;
+        }
+        writeConfig({
+            updateCheck: event.target.checked,
         });
     }
-    async function checkVersion() {
-        const response = await fetch(versionCheckUrl, { method: 'GET', mode: 'cors' }).then((r) => r.json());
-        const remoteVersion = atob(response.content);
+    /**
+     * Fetch the latest version from the update endpoint.
+     * @returns Version string, or undefined if the endpoint could not be reached or its response
+     * was not understood.
+     */
+    async function fetchRemoteVersion(url) {
+        try {
+            const response = await fetch(url, { method: 'GET', mode: 'cors' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const text = (await response.text()).trim();
+            if (!text.startsWith('{')) {
+                return text || undefined;
+            }
+            const body = JSON.parse(text);
+            const version = body.content ? atob(body.content) : body.version;
+            return typeof version === 'string' && version.trim() ? version.trim() : undefined;
+        }
+        catch (err) {
+            console.warn('Update check failed', err);
+            return undefined;
+        }
+    }
+    /**
+     * Check for a new version and notify the user if there is one. Unless `force` is set, the
+     * check is skipped if disabled, and the endpoint is contacted at most once per
+     * `versionCheckInterval`, reusing the last result in between.
+     * @returns Latest version, or undefined if it could not be determined.
+     */
+    async function checkVersion(force = false) {
+        const config = readConfig();
+        if (configIni.disableUpdateCheck || (!force && config.updateCheck === false)) {
+            return undefined;
+        }
+        const url = configIni.updateCheckUrl || versionCheckUrl;
+        let lastCheck;
+        try {
+            lastCheck = JSON.parse(appStorage.getItem(versionCheckStorageKey) || 'null');
+        }
+        catch (err) {
+            console.error(err);
+        }
+        let remoteVersion;
+        if (!force && lastCheck && lastCheck.url === url && Date.now() - lastCheck.timestamp < versionCheckInterval) {
+            remoteVersion = lastCheck.version;
+        }
+        else {
+            remoteVersion = await fetchRemoteVersion(url);
+            // A failed check is not recorded, so it is retried on the next start
+            if (remoteVersion) {
+                try {
+                    appStorage.setItem(versionCheckStorageKey, JSON.stringify({ url, timestamp: Date.now(), version: remoteVersion }));
+                }
+                catch (err) {
+                    console.error(err);
+                }
+            }
+        }
+        if (!remoteVersion) {
+            return undefined;
+        }
         const versionDiv = document.getElementById('version');
         const localVersion = versionDiv.innerText;
         const compare = versionComparator(localVersion, remoteVersion);
         if (compare > 0) {
-            const nextVersionSpan = document.getElementById('next-version');
-            const linkUpdate = document.getElementById('link-update');
-            const updateToast = document.getElementById('update-toast');
-            nextVersionSpan.innerText = remoteVersion;
-            linkUpdate.href = 'https://github.com/luejerry/html-mangareader/releases';
-            Object.assign(updateToast.style, { display: 'initial' });
-            await asyncTimeout(0);
-            updateToast.classList.add('show');
-            await asyncTimeout(5000);
-            updateToast.classList.remove('show');
+            showUpdateToast(remoteVersion);
+        }
+        return remoteVersion;
+    }
+    async function showUpdateToast(remoteVersion) {
+        const nextVersionSpan = document.getElementById('next-version');
+        const linkUpdate = document.getElementById('link-update');
+        const updateToast = document.getElementById('update-toast');
+        nextVersionSpan.innerText = remoteVersion;
+        linkUpdate.href = configIni.updateReleaseUrl || releasesUrl;
+        Object.assign(updateToast.style, { display: 'initial' });
+        await asyncTimeout(0);
+        updateToast.classList.add('show');
+        await asyncTimeout(5000);
+        updateToast.classList.remove('show');
+    }
+    /**
+     * Check for updates immediately, reporting the result on the menu button.
+     */
+    async function handleCheckUpdate() {
+        checkUpdateBtn.disabled = true;
+        checkUpdateBtn.innerText = 'Checking...';
+        const remoteVersion = await checkVersion(true);
+        const localVersion = document.getElementById('version').innerText;
+        checkUpdateBtn.innerText = !remoteVersion
+            ? 'Update check failed'
+            : versionComparator(localVersion, remoteVersion) > 0
+                ? `Version ${remoteVersion} available`
+                : 'Up to date';
+        await asyncTimeout(5000);
+        checkUpdateBtn.innerText = 'Check for updates now';
+        checkUpdateBtn.disabled = false;
+    }
+    /**
+     * Warn the user if settings cannot be saved.
+     */
+    async function setupStorageWarning() {
+        storageWarning.style.display = isStorageVolatile() ? '' : 'none';
+        if (!isStorageVolatile()) {
+            return;
+        }
+        Object.assign(storageToast.style, { display: 'initial' });
+        await asyncTimeout(0);
+        storageToast.classList.add('show');
+        await asyncTimeout(8000);
+        storageToast.classList.remove('show');
+    }
+    /**
+     * Upgrade saved settings to the current format, if the app was updated since they were saved.
+     * Invalid settings are removed and recorded in `invalidConfigKeys`.
+     */
+    function setupConfig() {
+        const stored = readStoredConfig();
+        const appVersion = document.getElementById('version').innerText;
+        if (stored.configVersion === configVersion && stored.appVersion === appVersion) {
+            const { invalid } = validateConfig(stored, configSchema);
+            if (!invalid.length) {
+                return;
+            }
+        }
+        const { valid, invalid } = validateConfig(migrateConfig(stored), configSchema);
+        invalidConfigKeys.push(...invalid);
+        replaceConfig({ ...valid, configVersion, appVersion });
+    }
+    /**
+     * @returns Settings upgraded from the format version they were saved in to the current one.
+     */
+    function migrateConfig(config) {
+        let migrated = config;
+        const savedVersion = typeof config.configVersion === 'number' ? config.configVersion : 0;
+        for (let version = savedVersion + 1; version <= configVersion; version++) {
+            migrated = { ...configMigrations[version](migrated), configVersion: version };
+        }
+        return migrated;
+    }
+    /**
+     * Tell the user which settings were ignored because they were invalid.
+     */
+    async function showInvalidConfigNotice() {
+        if (!invalidConfigKeys.length) {
+            return;
+        }
+        invalidConfigKeysSpan.innerText = invalidConfigKeys.join(', ');
+        Object.assign(configToast.style, { display: 'initial' });
+        await asyncTimeout(0);
+        configToast.classList.add('show');
+        await asyncTimeout(8000);
+        configToast.classList.remove('show');
+    }
+    /**
+     * Replace the whole saved configuration, unlike `writeConfig()` which merges into it.
+     */
+    function replaceConfig(config) {
+        try {
+            appStorage.setItem(storageKey, JSON.stringify(config));
+        }
+        catch (err) {
+            console.error(err);
+        }
+        dispatchReaderEvent('configchange', { changes: config, config });
+    }
+    /**
+     * Apply all settings of a configuration to the open page, e.g. after importing settings. Missing
+     * settings take their default values.
+     */
+    function applySettings(config) {
+        var _a, _b, _c, _d, _e, _f, _g, _h, _j;
+        setupSmartFitProfiles(config);
+        initScalingMode(config);
+        setupKeyBindings(config);
+        setupTouchGestures(config);
+        setupAutoscroll(config);
+        setupImageFilters(config);
+        setupUpdateCheck(config);
+        setPageTransition(config.pageTransition || 'slide');
+        const toggles = [
+            [smoothScrollCheckbox, (_a = config.smoothScroll) !== null && _a !== void 0 ? _a : false],
+            [darkModeCheckbox, (_b = config.darkMode) !== null && _b !== void 0 ? _b : false],
+            [seamlessCheckbox, (_c = config.seamless) !== null && _c !== void 0 ? _c : false],
+            [spreadsCheckbox, (_d = config.spreads) !== null && _d !== void 0 ? _d : false],
+            [spreadCoverCheckbox, (_e = config.spreadCoverOffset) !== null && _e !== void 0 ? _e : false],
+            [splitPagesCheckbox, ((_f = config.splitPages) !== null && _f !== void 0 ? _f : false) && !splitPagesCheckbox.disabled],
+            [pagedModeCheckbox, (_j = config.pagedMode) !== null && _j !== void 0 ? _j : false],
+            [chapterDividersCheckbox, (_g = config.chapterDividers) !== null && _g !== void 0 ? _g : false],
+            [autoCropCheckbox, ((_h = config.autoCrop) !== null && _h !== void 0 ? _h : false) && !autoCropCheckbox.disabled],
+        ];
+        for (const [checkbox, checked] of toggles) {
+            if (checkbox.checked !== checked) {
+                toggleCheckbox(checkbox);
+            }
+        }
+        const direction = getArchiveDirection(config);
+        const directionRadioBtn = directionRadioBtns.find((button) => button.value === direction);
+        if (directionRadioBtn && direction !== scrubberState.viewDirection) {
+            directionRadioBtn.checked = true;
+            setDirection(direction, false);
+        }
+    }
+    /**
+     * Show the effective value of each setting, and where it comes from: `config.ini`, the
+     * settings saved from the UI, or the defaults.
+     */
+    function renderSettings() {
+        const { valid: saved } = validateConfig(readStoredConfig(), configSchema);
+        const iniDefaults = getConfigDefaults(configIniSchema);
+        const settings = [
+            ...Object.keys(configIniSchema).map((key) => (key in configIni ? [key, configIni[key], 'config.ini'] : [key, iniDefaults[key], 'default'])),
+            ...Object.entries(readConfig()).map(([key, value]) => [key, value, key in saved ? 'saved' : 'default']),
+        ].filter(([, value]) => value !== undefined);
+        // The update check cannot be turned on from the UI if `config.ini` disables it
+        if (configIni.disableUpdateCheck) {
+            const index = settings.findIndex(([key]) => key === 'updateCheck');
+            settings[index] = ['updateCheck', false, 'config.ini'];
+        }
+        const rows = settings.flatMap(([key, value, source]) => {
+            const keySpan = document.createElement('span');
+            keySpan.innerText = key;
+            const valueCode = document.createElement('code');
+            valueCode.innerText = JSON.stringify(value);
+            const sourceSpan = document.createElement('span');
+            sourceSpan.classList.add('settings-source');
+            sourceSpan.innerText = source;
+            return [keySpan, valueCode, sourceSpan];
+        });
+        settingsList.replaceChildren(...rows);
+    }
+    function openSettings() {
+        renderSettings();
+        openPanel(settingsPanel);
+    }
+    function handleSettingsExport() {
+        downloadJson(readStoredConfig(), 'mangareader-settings.json');
+    }
+    /**
+     * Replace the saved settings with those from an exported JSON file.
+     */
+    async function handleSettingsImport() {
+        const file = settingsImportInput.files && settingsImportInput.files[0];
+        settingsImportInput.value = '';
+        if (!file) {
+            return;
+        }
+        try {
+            const imported = JSON.parse(await file.text());
+            if (getSettingType(imported) !== 'object') {
+                throw new Error('No settings found');
+            }
+            const { valid, invalid } = validateConfig(migrateConfig(imported), configSchema);
+            replaceConfig({ ...valid, configVersion, appVersion: document.getElementById('version').innerText });
+            applySettings(readConfig());
+            renderSettings();
+            if (invalid.length) {
+                invalidConfigKeys = invalid;
+                showInvalidConfigNotice();
+            }
+        }
+        catch (err) {
+            console.error('Failed to import settings', err);
+            alert(`Failed to import settings: ${err.message}`);
+        }
+    }
+    function handleSettingsReset() {
+        if (!confirm('Reset all settings to their defaults?')) {
+            return;
+        }
+        replaceConfig({ configVersion, appVersion: document.getElementById('version').innerText });
+        applySettings(readConfig());
+        renderSettings();
+    }
+    /**
+     * Dispatch an event on `document` for scripts embedding or driving the reader.
+     */
+    function dispatchReaderEvent(type, detail) {
+        document.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+    /**
+     * @returns The visible page, scaling mode and layout direction. Pages are numbered from 0 in
+     * display order, and `pageId` is the page's ID as used in the URL hash.
+     */
+    function getReaderState() {
+        var _a;
+        const page = scrubberState.visiblePageIndex;
+        return {
+            page,
+            pageId: (_a = pages[page]) === null || _a === void 0 ? void 0 : _a.id,
+            pageCount: pages.length,
+            scaling: scalingMode || readConfig().scaling,
+            direction: scrubberState.viewDirection,
+        };
+    }
+    /**
+     * Create the API exposing the reader to other scripts as `window.mangareader`, e.g. to sync it
+     * with a companion app or to drive it from tests. Changes are reported by events dispatched on
+     * `document`:
+     *
+     * - `pagechange`: the visible page changed. `detail` has `page` and `pageId`.
+     * - `scalingchange`: the image scaling mode changed. `detail` has `scaling`.
+     * - `directionchange`: the layout direction changed. `detail` has `direction`.
+     * - `configchange`: saved settings changed. `detail` has the `changes` and the whole saved
+     *   `config`.
+     *
+     * Navigation and settings changed through the API behave as if done from the UI, and are
+     * saved the same way. Invalid arguments throw an error.
+     */
+    function createReaderApi() {
+        return {
+            /**
+             * Go to the page at `index`, numbered from 0 in display order.
+             */
+            goTo: (index) => {
+                if (!Number.isInteger(index)) {
+                    throw new TypeError(`Invalid page index: ${index}`);
+                }
+                scrollToPage(index);
+            },
+            next: () => nextPage(),
+            prev: () => prevPage(),
+            /**
+             * Set the image scaling mode, e.g. `fit_width`, or `smart_<key>` for a smart fit
+             * profile.
+             */
+            setScaling: (mode) => {
+                const { invalid } = validateConfig({ ...readConfig(), scaling: mode }, configSchema);
+                if (invalid.includes('scaling')) {
+                    throw new RangeError(`Invalid scaling mode: ${mode}`);
+                }
+                initScalingMode({ scaling: mode });
+            },
+            /**
+             * Set the layout direction: `vertical`, `horizontal` or `horizontal-rtl`.
+             */
+            setDirection: (direction) => {
+                const directionRadioBtn = directionRadioBtns.find((button) => button.value === direction);
+                if (!directionRadioBtn) {
+                    throw new RangeError(`Invalid direction: ${direction}`);
+                }
+                directionRadioBtn.checked = true;
+                setDirection(direction);
+            },
+            getState: () => getReaderState(),
+        };
+    }
+    /**
+     * Connect the reader to the page embedding it in a frame, if `config.ini` allows any origins
+     * in `embedOrigins`. Messages are objects with a `type` starting with `mangareader:`.
+     *
+     * Commands accepted from the host page:
+     * - `mangareader:navigate` with a `page` index, or with `to` set to `next` or `prev`
+     * - `mangareader:scale` with a `scaling` mode
+     * - `mangareader:direction` with a `direction`
+     * - `mangareader:getState`
+     * - `mangareader:progress` with the saved `progress` of the archive, or `null` if there is none,
+     *   if `embedProgress` is set
+     *
+     * Messages sent to the host page:
+     * - `mangareader:ready` with the `archiveKey`, `title` and `state`, once the reader has loaded
+     * - `mangareader:state` with the `state` and the `reason` for it, whenever the visible page,
+     *   the scaling or the direction change
+     * - `mangareader:progress` with the `archiveKey` and `progress`, if `embedProgress` is set
+     * - `mangareader:error` with the failed `command` and a `message`
+     *
+     * An origin of `null` allows host pages opened from files, but as every sandboxed frame or
+     * page with an opaque origin also has that origin, and messages to it can only be sent to any
+     * origin, it is as permissive as `*`.
+     *
+     * The state has the same format as `window.mangareader.getState()`. With `embedProgress`, the
+     * host keeps the reading progress instead of LocalStorage, and should reply to
+     * `mangareader:ready` with the saved progress so the reader can offer to resume. No progress
+     * is sent to the host until it has replied.
+     */
+    function setupEmbedBridge(config) {
+        var _a;
+        embedState.origins = (_a = config.embedOrigins) !== null && _a !== void 0 ? _a : [];
+        if (window.parent === window || !embedState.origins.length) {
+            return;
+        }
+        embedState.enabled = true;
+        embedState.progress = Boolean(config.embedProgress);
+    }
+    /**
+     * Tell the host page that the reader has loaded, and keep it informed of changes from then on.
+     */
+    function notifyHostReady() {
+        if (!embedState.enabled) {
+            return;
+        }
+        const state = getReaderState();
+        embedState.postedState = JSON.stringify(state);
+        postToHost({
+            type: 'mangareader:ready',
+            archiveKey,
+            title: document.title,
+            state,
+        });
+        for (const type of ['pagechange', 'directionchange', 'configchange']) {
+            document.addEventListener(type, () => {
+                // Settings are rewritten unchanged e.g. whenever the window is resized
+                const state = getReaderState();
+                const serialized = JSON.stringify(state);
+                if (serialized !== embedState.postedState) {
+                    embedState.postedState = serialized;
+                    postToHost({ type: 'mangareader:state', reason: type, state });
+                }
+            });
+        }
+    }
+    function postToHost(message) {
+        const { hostOrigin, origins } = embedState;
+        const targets = hostOrigin ? [hostOrigin] : origins.includes('*') ? ['*'] : origins;
+        for (const origin of targets) {
+            // Pages opened from files have the opaque origin `null`, which can only be targeted
+            // with `*`
+            window.parent.postMessage(message, origin === 'null' ? '*' : origin);
+        }
+    }
+    function handleHostMessage(event) {
+        const message = event.data;
+        if (!embedState.enabled ||
+            event.source !== window.parent ||
+            !(embedState.origins.includes('*') || embedState.origins.includes(event.origin)) ||
+            getSettingType(message) !== 'object' ||
+            typeof message.type !== 'string' ||
+            !message.type.startsWith('mangareader:')) {
+            return;
+        }
+        // Replies and notifications only go to the host page once it is known
+        embedState.hostOrigin = event.origin;
+        try {
+            switch (message.type) {
+                case 'mangareader:navigate':
+                    if (message.to === 'next') {
+                        return readerApi.next();
+                    }
+                    if (message.to === 'prev') {
+                        return readerApi.prev();
+                    }
+                    return readerApi.goTo(message.page);
+                case 'mangareader:scale':
+                    return readerApi.setScaling(message.scaling);
+                case 'mangareader:direction':
+                    return readerApi.setDirection(message.direction);
+                case 'mangareader:getState':
+                    return postToHost({ type: 'mangareader:state', reason: 'request', state: getReaderState() });
+                case 'mangareader:progress':
+                    return receiveHostProgress(message.progress);
+                default:
+                    throw new RangeError(`Unknown command: ${message.type}`);
+            }
+        }
+        catch (err) {
+            postToHost({ type: 'mangareader:error', command: message.type, message: err.message });
+        }
+    }
+    /**
+     * Take the saved progress of the archive from the host page, and offer to resume from it the
+     * first time it is received.
+     * @param progress Saved progress, or null if the host has none for the archive.
+     */
+    function receiveHostProgress(progress) {
+        if (!embedState.progress) {
+            throw new Error('Progress is not kept by the host, set embedProgress in config.ini');
+        }
+        if (!['object', 'null'].includes(getSettingType(progress))) {
+            throw new TypeError('Invalid progress');
+        }
+        embedState.hostProgress = progress || undefined;
+        embedState.hostProgressReceived = true;
+        if (!embedState.resumeOffered) {
+            embedState.resumeOffered = true;
+            setupProgress();
         }
     }
     async function main() {
         setupListeners();
+        window.mangareader = readerApi;
         loadSettings();
         checkVersion();
     }